@@ -13,7 +13,8 @@ const FIBA_DIMS = {
     threePointRadius: 675, threePointLineX: 90, threePointY: 299.1,
     halfCourtY: 1400,
     logoShotStartY: 1100,
-    paintColor: 'rgba(224, 154, 97, 0.5)'
+    centerCircleRadius: 180, backboardWidth: 180, rimRadius: 22.5, markerRadius: 24,
+    markings: 'fiba', paintColor: 'rgba(224, 154, 97, 0.5)'
 };
 const NBA_DIMS = {
     width: 500, height: 470, unitsPerFoot: 10,
@@ -24,11 +25,87 @@ const NBA_DIMS = {
     threePointRadius: 237.5, threePointLineX: 30, threePointY: 140,
     halfCourtY: 470,
     logoShotStartY: 380,
-    paintColor: 'rgba(224, 154, 97, 0.5)'
+    centerCircleRadius: 120, backboardWidth: 60, rimRadius: 7.5, markerRadius: 8,
+    markings: 'nba', paintColor: 'rgba(224, 154, 97, 0.5)'
+};
+// Fittings every court shares, in real units, and how many SVG units make one unit. Courts measured
+// in metres are drawn at the FIBA scale and style, courts measured in feet at the NBA ones.
+const COURT_UNITS = {
+    ft: { label: 'Feet', svgPerUnit: 10, ftCircleRadius: 6, backboardInset: 1.25, backboardWidth: 6, rimRadius: 0.75, markerRadius: 0.8, logoDepth: 9 },
+    m: { label: 'Metres', svgPerUnit: 100, ftCircleRadius: 1.8, backboardInset: 0.375, backboardWidth: 1.8, rimRadius: 0.225, markerRadius: 0.24, logoDepth: 2.7 }
+};
+// Line distances of the other standards. Baseline distances run to the centre of the basket and to the
+// far edge of the free-throw line; the corner three is measured from the basket centre.
+// NCAA men and women have shared the 22' 1 3/4" line since 2021-22; NFHS has no restricted area.
+const COURT_SPECS = {
+    ncaa: { name: 'NCAA', unit: 'ft', width: 50, length: 94, basketDistance: 5.25, keyWidth: 12, freeThrowDistance: 19, threePointRadius: 22.146, cornerThreeDistance: 21.65, restrictedRadius: 4 },
+    nfhs: { name: 'NFHS', unit: 'ft', width: 50, length: 84, basketDistance: 5.25, keyWidth: 12, freeThrowDistance: 19, threePointRadius: 19.75, cornerThreeDistance: 19.75, restrictedRadius: 0 },
+    wnba: { name: 'WNBA', unit: 'ft', width: 50, length: 94, basketDistance: 5.25, keyWidth: 16, freeThrowDistance: 19, threePointRadius: 22.146, cornerThreeDistance: 22, restrictedRadius: 4 },
+    // 3x3 plays on one 15 x 11 m half court with FIBA lines and no centre circle.
+    fiba3x3: { name: 'FIBA 3x3', unit: 'm', width: 15, length: 22, basketDistance: 1.575, keyWidth: 4.9, freeThrowDistance: 5.8, threePointRadius: 6.75, cornerThreeDistance: 6.6, restrictedRadius: 1.25, halfCourtOnly: true }
+};
+// Clicks closer than this to the three-point line (in feet) ask the scorer whether the shot was a two or a three.
+const THREE_POINT_LINE_TOLERANCE_FT = 0.75;
+// NBA and FIBA keep their hand-tuned dimensions; their specs only seed the custom court editor.
+const COURT_TYPES = {
+    nba: { name: 'NBA', dims: NBA_DIMS, spec: { name: 'NBA', unit: 'ft', width: 50, length: 94, basketDistance: 5.25, keyWidth: 16, freeThrowDistance: 19, threePointRadius: 23.75, cornerThreeDistance: 22, restrictedRadius: 4 } },
+    fiba: { name: 'FIBA', dims: FIBA_DIMS, spec: { name: 'FIBA', unit: 'm', width: 15, length: 28, basketDistance: 1.575, keyWidth: 4.9, freeThrowDistance: 5.8, threePointRadius: 6.75, cornerThreeDistance: 6.6, restrictedRadius: 1.25 } }
 };
 
 // --- COURT VIEW MODULE ---
 
+/**
+ * @class CourtStandards
+ * The registry of court types. Standards other than NBA and FIBA, and the courts users build in the
+ * settings panel, are described in real units and turned into SVG dimensions by `buildDims`.
+ */
+class CourtStandards {
+    static get(courtType) { return COURT_TYPES[courtType] || COURT_TYPES.fiba; }
+    static getDims(courtType) { return CourtStandards.get(courtType).dims; }
+    static list() { return Object.entries(COURT_TYPES).map(([id, entry]) => ({ id, ...entry })); }
+    static unitsPerFoot(dims) { return dims.unitsPerFoot || dims.unitsPerMeter * 0.3048; }
+    static isCustom(courtType) { return !!(COURT_TYPES[courtType] && COURT_TYPES[courtType].custom); }
+    static customId(name) { return `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'court'}`; }
+
+    static register(id, spec, custom = true) { COURT_TYPES[id] = { name: spec.name, spec, custom, dims: CourtStandards.buildDims(spec) }; }
+    static registerAll(specs) { Object.entries(specs || {}).forEach(([id, spec]) => { if (!CourtStandards.validate(spec)) CourtStandards.register(id, spec); }); }
+    static unregister(id) { if (CourtStandards.isCustom(id)) delete COURT_TYPES[id]; }
+
+    /** Returns why a court spec cannot be drawn, or null when it is usable. */
+    static validate(spec) {
+        if (!spec || !spec.name || !COURT_UNITS[spec.unit]) return 'The court needs a name and a unit.';
+        const lengths = ['width', 'length', 'basketDistance', 'keyWidth', 'freeThrowDistance', 'threePointRadius', 'cornerThreeDistance'];
+        if (lengths.some(key => !(spec[key] > 0)) || !(spec.restrictedRadius >= 0)) return 'Every distance must be a positive number.';
+        if (spec.keyWidth >= spec.width) return 'The key must be narrower than the court.';
+        if (spec.cornerThreeDistance > spec.threePointRadius) return 'The corner three cannot be longer than the arc.';
+        if (spec.cornerThreeDistance >= spec.width / 2) return 'The corner three must fit inside the sidelines.';
+        if (spec.basketDistance + spec.threePointRadius >= spec.length / 2 || spec.freeThrowDistance >= spec.length / 2) return 'The lines must fit inside the half court.';
+        return null;
+    }
+
+    static buildDims(spec) {
+        const unit = COURT_UNITS[spec.unit]; const s = unit.svgPerUnit;
+        const width = spec.width * s; const halfCourtY = spec.length / 2 * s;
+        const basketX = width / 2; const basketY = spec.basketDistance * s;
+        const keyWidth = spec.keyWidth * s; const threePointRadius = spec.threePointRadius * s; const corner = spec.cornerThreeDistance * s;
+        return {
+            width, height: halfCourtY, [spec.unit === 'm' ? 'unitsPerMeter' : 'unitsPerFoot']: s,
+            basketX, basketY, backboardY: basketY - unit.backboardInset * s,
+            baselineY: 0,
+            keyWidth, keyHeight: spec.freeThrowDistance * s, keyLeftX: basketX - keyWidth / 2, keyRightX: basketX + keyWidth / 2,
+            ftCircleRadius: unit.ftCircleRadius * s, restrictedRadius: spec.restrictedRadius * s,
+            // The straight corner lines meet the arc where it is `corner` away from the basket sideways.
+            threePointRadius, threePointLineX: basketX - corner, threePointY: basketY + Math.sqrt(threePointRadius ** 2 - corner ** 2),
+            halfCourtY,
+            logoShotStartY: Math.min(halfCourtY, basketY + threePointRadius + unit.logoDepth * s),
+            centerCircleRadius: unit.ftCircleRadius * s, backboardWidth: unit.backboardWidth * s, rimRadius: unit.rimRadius * s, markerRadius: unit.markerRadius * s,
+            halfCourtOnly: !!spec.halfCourtOnly,
+            markings: spec.unit === 'm' ? 'fiba' : 'nba', paintColor: 'rgba(224, 154, 97, 0.5)'
+        };
+    }
+}
+Object.entries(COURT_SPECS).forEach(([id, spec]) => CourtStandards.register(id, spec, false));
+
 /**
  * @class CourtZoneDetector
  * A utility class responsible for identifying the court zone based on SVG coordinates.
@@ -37,6 +114,7 @@ class CourtZoneDetector {
     constructor(dims) { this.court = dims; }
     
     detectZone(x, y) {
+        if (y > this.court.halfCourtY) return { name: 'backcourt', details: 'Backcourt' };
         const dist = Math.hypot(x - this.court.basketX, y - this.court.basketY);
         if (this.isAtFreeThrowLine(x, y)) return { name: 'free-throw', details: 'Free Throw Line' };
         if (dist <= this.court.restrictedRadius) return { name: 'paint', details: 'Restricted Area' };
@@ -47,6 +125,27 @@ class CourtZoneDetector {
         return { name: 'mid-range', details: 'Mid-Range' };
     }
 
+    /** The SHOT_ZONES region for a field-goal attempt at (x, y); unlike detectZone it has no free-throw band or logo area. */
+    detectShotZone(x, y) {
+        if (y > this.court.halfCourtY) return 'backcourt';
+        const dist = Math.hypot(x - this.court.basketX, y - this.court.basketY);
+        if (dist <= this.court.restrictedRadius) return 'restricted-area';
+        if (this.isInPaint(x, y)) return 'paint';
+        if (this.isCornerThree(x, y)) return 'corner-three';
+        if (dist > this.court.threePointRadius) return 'above-break-three';
+        return 'mid-range';
+    }
+
+    /** Signed distance from the three-point line in court units: positive behind the line, negative inside it. */
+    distanceBeyondArc(x, y) {
+        const c = this.court;
+        if (y <= c.threePointY) return Math.max(c.threePointLineX - x, x - (c.width - c.threePointLineX));
+        return Math.hypot(x - c.basketX, y - c.basketY) - c.threePointRadius;
+    }
+
+    getShotBucket(x, y) { return this.distanceBeyondArc(x, y) > 0 ? 'fg3' : 'fg2'; }
+    isOnThreePointLine(x, y) { return Math.abs(this.distanceBeyondArc(x, y)) < THREE_POINT_LINE_TOLERANCE_FT * CourtStandards.unitsPerFoot(this.court); }
+
     isInPaint(x, y) { return x >= this.court.keyLeftX && x <= this.court.keyRightX && y >= this.court.baselineY && y <= this.court.keyHeight; }
     isCornerThree(x, y) { return y <= this.court.threePointY && (x < this.court.threePointLineX || x > (this.court.width - this.court.threePointLineX)); }
     isAtFreeThrowLine(x, y) {
@@ -55,15 +154,30 @@ class CourtZoneDetector {
     }
 }
 
+// Zone chart outlines for each court's dimensions; see ProfessionalCourtInterface.getZonePaths.
+const ZONE_CHART_PATHS = new WeakMap();
+
 /**
  * @class ProfessionalCourtInterface
  * Manages all interactions with the basketball court SVG. This is the "view" controller for the court.
  */
 class ProfessionalCourtInterface {
-    constructor(courtType, onAction) {
+    constructor(courtType, onAction, onCourtTypeChange = null) {
         this.onAction = onAction;
+        this.onCourtTypeChange = onCourtTypeChange;
+        // spec -> court type id, and court type id -> void; the app stores custom courts for later games.
+        this.onCustomCourtSave = null;
+        this.onCustomCourtDelete = null;
+        this.customCourtUnit = 'ft';
+        this.onMarkerSelect = null;
+        this.onDirectionChange = null;
+        // (team, period) -> 'top' | 'bottom'; null arguments mean the team and period being recorded right now.
+        this.getAttackingEnd = () => 'top';
+        this.getEndLabels = null;
+        this.locationPicker = null;
+        this.locationPickerContext = null;
         this.actionsToDisplay = [];
-        this.settings = { showGhost: true, fadeShot: false, heatmapOpacity: 0.7, isHeatmapVisible: false };
+        this.settings = { showGhost: true, fadeShot: false, heatmapOpacity: 0.7, isHeatmapVisible: false, chartMode: 'heatmap', fullCourt: false };
         this.setCourtType(courtType);
         this.setupCourtListeners();
         this.setupMenus();
@@ -72,22 +186,34 @@ class ProfessionalCourtInterface {
 
     setCourtType(courtType) {
         this.courtType = courtType;
-        this.dims = courtType === 'nba' ? NBA_DIMS : FIBA_DIMS;
+        this.dims = CourtStandards.getDims(courtType);
         this.zoneDetector = new CourtZoneDetector(this.dims);
         const wrapper = document.getElementById('court-wrapper');
         const svg = document.getElementById('basketballCourt');
         svg.setAttribute('data-court-type', courtType);
-        wrapper.style.paddingBottom = `${(this.dims.height / this.dims.width) * 100}%`;
-        svg.setAttribute('viewBox', `0 0 ${this.dims.width} ${this.dims.height}`);
-        document.querySelectorAll('.court-type-btn').forEach(btn => {
-            const isActive = btn.dataset.type === courtType;
-            btn.classList.toggle('bg-blue-500', isActive);
-            btn.classList.toggle('text-white', isActive);
-        });
+        svg.setAttribute('data-court-markings', this.dims.markings);
+        wrapper.style.paddingBottom = `${(this.getViewHeight() / this.dims.width) * 100}%`;
+        svg.setAttribute('viewBox', `0 0 ${this.dims.width} ${this.getViewHeight()}`);
+        this.renderCourtTypeButtons();
         this.drawCourt();
         this.render();
     }
 
+    /** Courts that are only a half court, like 3x3, ignore the full-court setting. */
+    isFullCourt() { return this.settings.fullCourt && !this.dims.halfCourtOnly; }
+
+    getViewHeight() { return this.isFullCourt() ? this.dims.halfCourtY * 2 : this.dims.height; }
+
+    /**
+     * Locations are stored in one half-court frame: the attacking basket at the top, y growing towards
+     * the far baseline, so backcourt points have y beyond halfCourtY. On the full court the bottom basket
+     * is the top one turned 180°, which maps a point between the two frames in either direction.
+     */
+    orientPoint(svgX, svgY, end) {
+        if (!this.isFullCourt() || end !== 'bottom') return { svgX, svgY };
+        return { svgX: this.dims.width - svgX, svgY: this.dims.halfCourtY * 2 - svgY };
+    }
+
     updateActionDisplay(actions) {
         this.actionsToDisplay = actions;
         this.render();
@@ -95,16 +221,32 @@ class ProfessionalCourtInterface {
 
     render() {
         this.settings.isHeatmapVisible ? this.renderHeatmap() : this.clearHeatmap();
+        this.renderDirectionLabels();
         this.renderActionHistory();
     }
 
     drawCourt() {
-        const markings = this.courtType === 'nba' ? this.getNbaMarkings() : this.getFibaMarkings();
-        document.getElementById('court-markings').innerHTML = markings;
+        const markings = ProfessionalCourtInterface.getCourtMarkings(this.dims);
+        document.getElementById('court-markings').innerHTML = this.isFullCourt()
+            ? `${markings}<g transform="translate(${this.dims.width} ${this.dims.halfCourtY * 2}) rotate(180)">${markings}</g>`
+            : markings;
     }
 
-    getNbaMarkings() {
-        const c = this.dims;
+    /** On the full court, names which team attacks each basket this period. */
+    renderDirectionLabels() {
+        const group = document.getElementById('court-direction'); if (!group) return;
+        const labels = this.isFullCourt() && this.getEndLabels ? this.getEndLabels() : null;
+        if (!labels) { group.innerHTML = ''; return; }
+        const fontSize = this.dims.width / 30; const x = this.dims.width / 2; const H = this.dims.halfCourtY;
+        group.innerHTML = `<text x="${x}" y="${H - fontSize}" text-anchor="middle" font-size="${fontSize}" font-weight="bold" fill="rgba(0, 0, 0, 0.45)">▲ ${labels.top}</text>`
+            + `<text x="${x}" y="${H + fontSize * 1.8}" text-anchor="middle" font-size="${fontSize}" font-weight="bold" fill="rgba(0, 0, 0, 0.45)">▼ ${labels.bottom}</text>`;
+    }
+
+    static getCourtMarkings(dims) {
+        return dims.markings === 'nba' ? ProfessionalCourtInterface.getNbaMarkings(dims) : ProfessionalCourtInterface.getFibaMarkings(dims);
+    }
+
+    static getNbaMarkings(c) {
         const threePointArcPath = `M ${c.threePointLineX} ${c.baselineY} L ${c.threePointLineX} ${c.threePointY} A ${c.threePointRadius} ${c.threePointRadius} 0 0 0 ${c.width - c.threePointLineX} ${c.threePointY} L ${c.width - c.threePointLineX} ${c.baselineY}`;
         return `
             <rect x="${c.keyLeftX}" y="${c.baselineY}" width="${c.keyWidth}" height="${c.keyHeight}" fill="${c.paintColor}" />
@@ -115,9 +257,9 @@ class ProfessionalCourtInterface {
             <path d="M ${c.keyLeftX} ${c.keyHeight} A ${c.ftCircleRadius} ${c.ftCircleRadius} 0 0 0 ${c.keyRightX} ${c.keyHeight}" fill="none" stroke="#000000" stroke-width="2" stroke-dasharray="8,6"/>
             <path d="M ${c.basketX - c.restrictedRadius} ${c.backboardY} A ${c.restrictedRadius} ${c.restrictedRadius} 0 0 0 ${c.basketX + c.restrictedRadius} ${c.backboardY}" fill="none" stroke="#000000" stroke-width="2" stroke-dasharray="4,4"/>
             <path class="interactive-line" d="${threePointArcPath}" fill="none" stroke="#000000" stroke-width="2" />
-            <path d="M ${c.basketX - c.ftCircleRadius*2} ${c.halfCourtY} A ${c.ftCircleRadius*2} ${c.ftCircleRadius*2} 0 0 1 ${c.basketX + c.ftCircleRadius*2} ${c.halfCourtY}" fill="none" stroke="#000000" stroke-width="2"/>
-            <rect x="${c.basketX - 30}" y="${c.backboardY}" width="60" height="1" fill="none" stroke="#000000" stroke-width="2"/>
-            <circle cx="${c.basketX}" cy="${c.basketY}" r="7.5" fill="none" stroke="#FF6B35" stroke-width="2"/>
+            ${c.halfCourtOnly ? '' : `<path d="M ${c.basketX - c.centerCircleRadius} ${c.halfCourtY} A ${c.centerCircleRadius} ${c.centerCircleRadius} 0 0 1 ${c.basketX + c.centerCircleRadius} ${c.halfCourtY}" fill="none" stroke="#000000" stroke-width="2"/>`}
+            <rect x="${c.basketX - c.backboardWidth / 2}" y="${c.backboardY}" width="${c.backboardWidth}" height="1" fill="none" stroke="#000000" stroke-width="2"/>
+            <circle cx="${c.basketX}" cy="${c.basketY}" r="${c.rimRadius}" fill="none" stroke="#FF6B35" stroke-width="2"/>
             <line x1="0" y1="${c.baselineY}" x2="${c.width}" y2="${c.baselineY}" stroke="#000000" stroke-width="2" />
             <line x1="0" y1="${c.baselineY}" x2="0" y2="${c.halfCourtY}" stroke="#000000" stroke-width="2"/>
             <line x1="${c.width}" y1="${c.baselineY}" x2="${c.width}" y2="${c.halfCourtY}" stroke="#000000" stroke-width="2"/>
@@ -125,8 +267,7 @@ class ProfessionalCourtInterface {
         `;
     }
 
-    getFibaMarkings() {
-        const c = this.dims;
+    static getFibaMarkings(c) {
         const threePointArcPath = `M ${c.threePointLineX} ${c.baselineY} L ${c.threePointLineX} ${c.threePointY} A ${c.threePointRadius} ${c.threePointRadius} 0 0 0 ${c.width - c.threePointLineX} ${c.threePointY} L ${c.width - c.threePointLineX} ${c.baselineY}`;
         return `
             <rect x="${c.keyLeftX}" y="${c.baselineY}" width="${c.keyWidth}" height="${c.keyHeight}" fill="${c.paintColor}" />
@@ -137,9 +278,9 @@ class ProfessionalCourtInterface {
             <path d="M ${c.keyLeftX} ${c.keyHeight} A ${c.ftCircleRadius} ${c.ftCircleRadius} 0 0 0 ${c.keyRightX} ${c.keyHeight}" fill="none" stroke="#282828" stroke-width="5" stroke-dasharray="20,15"/>
             <path d="M ${c.basketX - c.restrictedRadius} ${c.backboardY} A ${c.restrictedRadius} ${c.restrictedRadius} 0 0 0 ${c.basketX + c.restrictedRadius} ${c.backboardY}" fill="none" stroke="#282828" stroke-width="5" stroke-dasharray="10,10"/>
             <path class="interactive-line" d="${threePointArcPath}" fill="none" stroke="#282828" stroke-width="5" />
-            <circle cx="${c.basketX}" cy="${c.halfCourtY}" r="${c.ftCircleRadius}" fill="none" stroke="#282828" stroke-width="5"/>
-            <line x1="${c.basketX - 90}" y1="${c.backboardY}" x2="${c.basketX + 90}" y2="${c.backboardY}" style="stroke-width: 8; stroke: #6b7280;" />
-            <circle cx="${c.basketX}" cy="${c.basketY}" r="22.5" style="stroke-width: 6; stroke: #f97316;" fill="none" />
+            ${c.halfCourtOnly ? '' : `<circle cx="${c.basketX}" cy="${c.halfCourtY}" r="${c.centerCircleRadius}" fill="none" stroke="#282828" stroke-width="5"/>`}
+            <line x1="${c.basketX - c.backboardWidth / 2}" y1="${c.backboardY}" x2="${c.basketX + c.backboardWidth / 2}" y2="${c.backboardY}" style="stroke-width: 8; stroke: #6b7280;" />
+            <circle cx="${c.basketX}" cy="${c.basketY}" r="${c.rimRadius}" style="stroke-width: 6; stroke: #f97316;" fill="none" />
             <line x1="0" y1="${c.baselineY}" x2="${c.width}" y2="${c.baselineY}" stroke="#282828" stroke-width="5"/>
             <line x1="0" y1="${c.baselineY}" x2="0" y2="${c.halfCourtY}" stroke="#282828" stroke-width="5"/>
             <line x1="${c.width}" y1="${c.baselineY}" x2="${c.width}" y2="${c.halfCourtY}" stroke="#282828" stroke-width="5"/>
@@ -152,14 +293,22 @@ class ProfessionalCourtInterface {
         const indicators = { zone: document.getElementById('zoneIndicator'), dist: document.getElementById('distanceIndicator') };
         court.addEventListener('click', e => {
             const p = this.getEventPoint(e);
-            this.showSmartRadialMenu(p.svgX, p.svgY, p.screenX, p.screenY);
+            if (this.locationPicker) {
+                const pick = this.locationPicker; const { team, period } = this.locationPickerContext || {};
+                this.cancelLocationPick();
+                pick(this.orientPoint(p.svgX, p.svgY, this.getAttackingEnd(team, period)));
+                return;
+            }
+            const half = this.orientPoint(p.svgX, p.svgY, this.getAttackingEnd());
+            this.showSmartRadialMenu(half.svgX, half.svgY, p.screenX, p.screenY);
             this.showSelectionPulse(p.svgX, p.svgY);
         });
         document.addEventListener('click', e => { if (court && !court.contains(e.target)) this.hideRadialMenu(); });
         court.addEventListener('mousemove', e => {
             const p = this.getEventPoint(e);
-            const zone = this.zoneDetector.detectZone(p.svgX, p.svgY);
-            const dist = this.calculateDistance(p.svgX, p.svgY);
+            const half = this.orientPoint(p.svgX, p.svgY, this.getAttackingEnd());
+            const zone = this.zoneDetector.detectZone(half.svgX, half.svgY);
+            const dist = this.calculateDistance(half.svgX, half.svgY);
             indicators.zone.textContent = zone.details;
             indicators.dist.textContent = `${dist} ft`;
             Object.values(indicators).forEach(el => el.classList.add('visible'));
@@ -171,6 +320,20 @@ class ProfessionalCourtInterface {
         });
     }
 
+    /** The next court click reports its location to `callback` instead of opening the action menu, oriented for `team` in `period`. */
+    pickLocation(callback, team = null, period = null) {
+        this.hideRadialMenu();
+        this.locationPicker = callback;
+        this.locationPickerContext = { team, period };
+        document.getElementById('court-wrapper').classList.add('picking-location');
+    }
+
+    cancelLocationPick() {
+        this.locationPicker = null;
+        this.locationPickerContext = null;
+        document.getElementById('court-wrapper').classList.remove('picking-location');
+    }
+
     renderActionHistory() {
         const historyGroup = document.getElementById('shotHistory');
         historyGroup.innerHTML = ''; 
@@ -181,18 +344,29 @@ class ProfessionalCourtInterface {
         }
 
         actionsToRender.forEach((action, index) => {
-            const radius = this.courtType === 'fiba' ? 24 : 8;
-            const marker = this.createActionMarker(historyGroup, action, radius, this.courtType);
+            // The half-court view has no room for backcourt actions.
+            if (!this.isFullCourt() && action.location.svgY > this.dims.halfCourtY) return;
+            const point = this.orientPoint(action.location.svgX, action.location.svgY, this.getAttackingEnd(action.team, action.period || 1));
+            const marker = ProfessionalCourtInterface.createActionMarker(historyGroup, { ...action, location: point }, this.dims.markerRadius);
             if (this.settings.fadeShot) {
                 const opacity = 1 - (actionsToRender.length - 1 - index) * 0.35;
                 marker.style.opacity = Math.max(0.3, opacity);
             } else {
                 marker.style.opacity = 1;
             }
+            if (action.id && this.onMarkerSelect) {
+                marker.classList.add('editable');
+                marker.addEventListener('click', e => {
+                    if (this.locationPicker) return;
+                    e.stopPropagation();
+                    this.hideRadialMenu();
+                    this.onMarkerSelect(action);
+                });
+            }
         });
     }
 
-    createActionMarker(parent, action, radius, courtType) {
+    static createActionMarker(parent, action, radius) {
         const marker = document.createElementNS('http://www.w3.org/2000/svg', 'g');
         marker.setAttribute('class', 'shot-history-marker');
         marker.setAttribute('transform', `translate(${action.location.svgX}, ${action.location.svgY})`);
@@ -215,7 +389,7 @@ class ProfessionalCourtInterface {
             text.setAttribute('text-anchor', 'middle');
             text.setAttribute('dominant-baseline', 'central');
             text.setAttribute('fill', 'white');
-            text.setAttribute('font-size', courtType === 'fiba' ? '21px' : '7px');
+            text.setAttribute('font-size', `${radius * 0.875}px`);
             text.setAttribute('font-weight', 'bold');
             text.textContent = action.playerNumber;
             marker.appendChild(text);
@@ -232,7 +406,8 @@ class ProfessionalCourtInterface {
             'three-point': [ { action: 'make3', label: '3PT ✓', icon: '🎯' }, { action: 'miss3', label: '3PT ✗', icon: '❌' }, { action: 'rebound', label: 'Rebound', icon: '🙌' }, { action: 'more', label: 'More...', icon: '...' } ],
             'corner-three': [ { action: 'make3', label: 'Corner 3 ✓', icon: '🎯' }, { action: 'miss3', label: 'Corner 3 ✗', icon: '❌' }, { action: 'rebound', label: 'Rebound', icon: '🙌' }, { action: 'more', label: 'More...', icon: '...' } ],
             'logo-shot': [ { action: 'make3-logo', label: 'Logo Shot ✓', icon: '🎯' }, { action: 'miss3-logo', label: 'Logo Shot ✗', icon: '❌' } ],
-            'free-throw': [ { action: 'make1-ft', label: 'FT ✓', icon: '🎯' }, { action: 'miss1-ft', label: 'FT ✗', icon: '❌' } ]
+            'free-throw': [ { action: 'ft-trip', label: 'FT Trip', icon: '🎯' }, { action: 'make1-ft', label: 'FT ✓', icon: '🎯' }, { action: 'miss1-ft', label: 'FT ✗', icon: '❌' } ],
+            'backcourt': [ { action: 'steal', label: 'Steal', icon: '🖐️' }, { action: 'turnover', label: 'Turnover', icon: '🔄' }, { action: 'foul', label: 'Foul', icon: '✋' }, { action: 'more', label: 'More...', icon: '...' } ]
         };
         this.secondaryActions = {
             'paint': [ { action: 'make2-dunk', label: 'Dunk ✓', icon: '💥' }, { action: 'make2-post', label: 'Post Up ✓', icon: '💪' }, { action: 'miss2-post', label: 'Post Up ✗', icon: '🧱' }, { action: 'make2-floater', label: 'Floater ✓', icon: '💧' }, { action: 'miss2-floater', label: 'Floater ✗', icon: '💨' }, { action: 'assist', label: 'Assist', icon: '🤝' }, { action: 'foul', label: 'Foul', icon: '✋' }, { action: 'back', label: 'Back', icon: '↩️' } ],
@@ -307,12 +482,16 @@ class ProfessionalCourtInterface {
             modal.querySelector('.transform').classList.add('scale-95');
             setTimeout(() => modal.classList.add('hidden'), 200);
         };
-        openBtn.addEventListener('click', showModal);
+        // The court view works without the settings button, so a page that leaves it out still gets the court.
+        if (openBtn) openBtn.addEventListener('click', showModal);
         closeBtn.addEventListener('click', hideModal);
         modal.addEventListener('click', (e) => { if(e.target === modal) hideModal(); });
-        document.querySelectorAll('.court-type-btn').forEach(btn => {
-            btn.addEventListener('click', () => { this.setCourtType(btn.dataset.type); });
-        });
+        document.getElementById('courtTypeToggle').addEventListener('click', e => { const btn = e.target.closest('.court-type-btn'); if (btn) this.selectCourtType(btn.dataset.type); });
+        document.getElementById('openCustomCourtBtn').addEventListener('click', () => this.openCustomCourtEditor());
+        document.getElementById('cancelCustomCourtBtn').addEventListener('click', () => this.closeCustomCourtEditor());
+        document.getElementById('saveCustomCourtBtn').addEventListener('click', () => this.saveCustomCourt());
+        document.getElementById('deleteCustomCourtBtn').addEventListener('click', () => this.deleteCustomCourt());
+        document.getElementById('customCourtUnit').addEventListener('change', e => this.convertCustomCourtUnit(e.target.value));
         const setupToggle = (id, settingKey) => {
             const toggle = document.getElementById(id);
             toggle.addEventListener('click', () => {
@@ -326,33 +505,228 @@ class ProfessionalCourtInterface {
         setupToggle('showGhostToggle', 'showGhost');
         setupToggle('fadeShotToggle', 'fadeShot');
         setupToggle('heatmapToggle', 'isHeatmapVisible');
+        setupToggle('fullCourtToggle', 'fullCourt');
+        document.getElementById('fullCourtToggle').addEventListener('click', () => this.setCourtType(this.courtType));
+        document.querySelectorAll('.court-direction-btn').forEach(btn => btn.addEventListener('click', () => { this.setDirectionButtons(btn.dataset.end); if (this.onDirectionChange) this.onDirectionChange(btn.dataset.end); this.render(); }));
+        document.querySelectorAll('.chart-mode-btn').forEach(btn => btn.addEventListener('click', () => this.setChartMode(btn.dataset.mode)));
+        this.setChartMode(this.settings.chartMode);
         document.getElementById('heatmapOpacity').addEventListener('input', (e) => {
             this.settings.heatmapOpacity = e.target.value;
             if(this.settings.isHeatmapVisible) this.renderHeatmap();
         });
     }
 
+    selectCourtType(courtType) {
+        this.setCourtType(courtType);
+        if (this.onCourtTypeChange) this.onCourtTypeChange(courtType);
+    }
+
+    renderCourtTypeButtons() {
+        const container = document.getElementById('courtTypeToggle');
+        container.innerHTML = CourtStandards.list().map(court => {
+            const active = court.id === this.courtType ? ' bg-blue-500 text-white' : '';
+            return `<button type="button" data-type="${court.id}" class="court-type-btn px-3 py-2 rounded-md border text-sm${active}"${court.custom ? ' title="Custom court"' : ''}>${court.name}</button>`;
+        }).join('');
+    }
+
+    /** Opens the editor seeded with the current court, so a custom court can start from any standard. */
+    openCustomCourtEditor() {
+        const court = CourtStandards.get(this.courtType);
+        const spec = court.spec || COURT_TYPES.fiba.spec;
+        this.customCourtUnit = spec.unit;
+        document.getElementById('customCourtName').value = court.custom ? spec.name : '';
+        document.getElementById('customCourtUnit').value = spec.unit;
+        document.querySelectorAll('[data-court-field]').forEach(input => { input.value = spec[input.dataset.courtField]; });
+        document.getElementById('deleteCustomCourtBtn').classList.toggle('hidden', !court.custom);
+        document.getElementById('customCourtError').textContent = '';
+        document.getElementById('customCourtEditor').classList.remove('hidden');
+    }
+
+    closeCustomCourtEditor() { document.getElementById('customCourtEditor').classList.add('hidden'); }
+
+    convertCustomCourtUnit(unit) {
+        const factor = unit === 'm' ? 0.3048 : 1 / 0.3048;
+        if (unit !== this.customCourtUnit) document.querySelectorAll('[data-court-field]').forEach(input => { if (input.value !== '') input.value = Math.round(input.value * factor * 1000) / 1000; });
+        this.customCourtUnit = unit;
+    }
+
+    readCustomCourtSpec() {
+        const spec = { name: document.getElementById('customCourtName').value.trim(), unit: document.getElementById('customCourtUnit').value };
+        document.querySelectorAll('[data-court-field]').forEach(input => { spec[input.dataset.courtField] = parseFloat(input.value); });
+        return spec;
+    }
+
+    saveCustomCourt() {
+        const spec = this.readCustomCourtSpec();
+        const error = CourtStandards.validate(spec);
+        if (error) { document.getElementById('customCourtError').textContent = error; return; }
+        let id;
+        if (this.onCustomCourtSave) id = this.onCustomCourtSave(spec);
+        else { id = CourtStandards.customId(spec.name); CourtStandards.register(id, spec); }
+        this.closeCustomCourtEditor();
+        this.selectCourtType(id);
+    }
+
+    deleteCustomCourt() {
+        const id = this.courtType;
+        if (!CourtStandards.isCustom(id)) return;
+        if (this.onCustomCourtDelete) this.onCustomCourtDelete(id);
+        else CourtStandards.unregister(id);
+        this.closeCustomCourtEditor();
+        if (CourtStandards.isCustom(id)) this.renderCourtTypeButtons(); else this.selectCourtType('fiba');
+    }
+
+    setDirectionButtons(end) {
+        document.querySelectorAll('.court-direction-btn').forEach(btn => {
+            const isActive = btn.dataset.end === end;
+            btn.classList.toggle('bg-blue-500', isActive);
+            btn.classList.toggle('text-white', isActive);
+        });
+    }
+
+    setChartMode(mode) {
+        this.settings.chartMode = mode;
+        document.querySelectorAll('.chart-mode-btn').forEach(btn => {
+            const isActive = btn.dataset.mode === mode;
+            btn.classList.toggle('bg-blue-500', isActive);
+            btn.classList.toggle('text-white', isActive);
+        });
+        this.render();
+    }
+
     renderHeatmap() {
         const canvas = document.getElementById('heatmapCanvas');
         const ctx = canvas.getContext('2d');
         const rect = document.getElementById('basketballCourt').getBoundingClientRect();
         canvas.width = rect.width; canvas.height = rect.height;
         ctx.clearRect(0, 0, canvas.width, canvas.height);
-        const makes = this.actionsToDisplay.filter(s => s.result === 'make');
-        if (!makes.length) return;
-        const pointRadius = canvas.width * 0.08;
+        const painters = { heatmap: ProfessionalCourtInterface.paintHeatmap, zones: ProfessionalCourtInterface.paintZoneChart, hex: ProfessionalCourtInterface.paintHexChart };
+        // Charts use the shared half-court frame, so on the full court they cover the top half.
+        const chartHeight = canvas.height * this.dims.height / this.getViewHeight();
+        const frontcourt = this.actionsToDisplay.filter(action => action.location.svgY <= this.dims.halfCourtY);
+        if (!(painters[this.settings.chartMode] || painters.heatmap)(ctx, frontcourt, this.dims, 0, 0, canvas.width, chartHeight)) return;
+        canvas.style.opacity = this.settings.heatmapOpacity;
+        canvas.classList.remove('hidden');
+    }
+
+    /** Paints radial blobs for made shots into the (x, y, width, height) box of a 2D context. Returns false when there is nothing to draw. */
+    static paintHeatmap(ctx, actions, dims, x, y, width, height) {
+        const makes = actions.filter(s => s.result === 'make');
+        if (!makes.length) return false;
+        const pointRadius = width * 0.08;
         makes.forEach(shot => {
-            const x = (shot.location.svgX / this.dims.width) * canvas.width;
-            const y = (shot.location.svgY / this.dims.height) * canvas.height;
-            const g = ctx.createRadialGradient(x, y, 0, x, y, pointRadius);
+            const px = x + (shot.location.svgX / dims.width) * width;
+            const py = y + (shot.location.svgY / dims.height) * height;
+            const g = ctx.createRadialGradient(px, py, 0, px, py, pointRadius);
             g.addColorStop(0, 'rgba(255, 255, 0, 0.5)');
             g.addColorStop(0.5, 'rgba(255, 100, 0, 0.25)');
             g.addColorStop(1, 'rgba(255, 0, 0, 0)');
             ctx.fillStyle = g;
-            ctx.beginPath(); ctx.arc(x, y, pointRadius, 0, 2 * Math.PI); ctx.fill();
+            ctx.beginPath(); ctx.arc(px, py, pointRadius, 0, 2 * Math.PI); ctx.fill();
         });
-        canvas.style.opacity = this.settings.heatmapOpacity;
-        canvas.classList.remove('hidden');
+        return true;
+    }
+
+    /** Red for cold shooting through to green for hot; `alpha` carries the volume. */
+    static efficiencyColor(pct, alpha) {
+        const hue = Math.min(1, Math.max(0, (pct - 0.25) / 0.4)) * 120;
+        return `hsla(${hue}, 75%, 45%, ${alpha})`;
+    }
+
+    static fieldGoalAttempts(actions) { return actions.filter(a => a.location && (a.result === 'make' || a.result === 'miss') && a.bucket !== 'ft'); }
+
+    /**
+     * Shades every shot zone by FG% (colour) and attempts (strength) and labels it made/attempted.
+     * Corner threes are split by side so each corner gets its own label. Returns false when there is nothing to draw.
+     */
+    static paintZoneChart(ctx, actions, dims, x, y, width, height) {
+        const shots = ProfessionalCourtInterface.fieldGoalAttempts(actions);
+        if (!shots.length) return false;
+        const detector = new CourtZoneDetector(dims);
+        const regionAt = (svgX, svgY) => { const zone = detector.detectShotZone(svgX, svgY); return zone === 'corner-three' ? `corner-three-${svgX < dims.basketX ? 'left' : 'right'}` : zone; };
+        const regions = {};
+        ['restricted-area', 'paint', 'mid-range', 'corner-three-left', 'corner-three-right', 'above-break-three'].forEach(key => { regions[key] = { made: 0, attempted: 0 }; });
+        shots.forEach(shot => { const region = regions[regionAt(shot.location.svgX, shot.location.svgY)]; if (!region) return; region.attempted++; if (shot.result === 'make') region.made++; });
+        const maxAttempts = Math.max(...Object.values(regions).map(r => r.attempted));
+        const fillFor = (region) => region.attempted ? ProfessionalCourtInterface.efficiencyColor(region.made / region.attempted, 0.25 + 0.55 * region.attempted / maxAttempts) : 'rgba(255, 255, 255, 0.15)';
+        ctx.save();
+        ctx.beginPath(); ctx.rect(x, y, width, height); ctx.clip();
+        ctx.translate(x, y); ctx.scale(width / dims.width, height / dims.height);
+        ProfessionalCourtInterface.getZonePaths(dims).forEach(([key, path]) => { ctx.fillStyle = fillFor(regions[key]); ctx.fill(path); });
+        ctx.restore();
+        const arcTop = dims.basketY + dims.threePointRadius;
+        const anchors = {
+            'restricted-area': [dims.basketX, dims.basketY + dims.restrictedRadius * 0.4],
+            'paint': [dims.basketX, (dims.basketY + dims.restrictedRadius + dims.keyHeight) / 2],
+            'mid-range': [dims.basketX, (dims.keyHeight + arcTop) / 2],
+            'corner-three-left': [dims.threePointLineX / 2, dims.threePointY / 2],
+            'corner-three-right': [dims.width - dims.threePointLineX / 2, dims.threePointY / 2],
+            'above-break-three': [dims.basketX, Math.min(arcTop + (dims.halfCourtY - arcTop) / 3, dims.halfCourtY - dims.restrictedRadius)]
+        };
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle'; ctx.fillStyle = '#111827';
+        const fontSize = Math.max(9, width / 45);
+        Object.entries(anchors).forEach(([key, [ax, ay]]) => {
+            const region = regions[key]; if (!region.attempted) return;
+            const px = x + ax / dims.width * width; const py = y + ay / dims.height * height;
+            ctx.font = `bold ${fontSize}px sans-serif`;
+            ctx.fillText(`${region.made}/${region.attempted}`, px, py - fontSize * 0.6);
+            ctx.font = `${fontSize * 0.85}px sans-serif`;
+            ctx.fillText(`${Math.round(region.made / region.attempted * 100)}%`, px, py + fontSize * 0.6);
+        });
+        return true;
+    }
+
+    /**
+     * Outlines of the zone chart regions in court units, built once per court. They are listed in the reverse of the order
+     * CourtZoneDetector.detectShotZone checks them, so filling them in turn leaves each spot the colour of the zone it is in.
+     */
+    static getZonePaths(dims) {
+        if (ZONE_CHART_PATHS.has(dims)) return ZONE_CHART_PATHS.get(dims);
+        const rect = (left, top, w, h) => { const path = new Path2D(); path.rect(left, top, w, h); return path; };
+        const circle = (radius) => { const path = new Path2D(); path.arc(dims.basketX, dims.basketY, radius, 0, 2 * Math.PI); return path; };
+        const paths = [
+            ['above-break-three', rect(0, 0, dims.width, dims.height)],
+            ['mid-range', circle(dims.threePointRadius)],
+            ['corner-three-left', rect(0, 0, dims.threePointLineX, dims.threePointY)],
+            ['corner-three-right', rect(dims.width - dims.threePointLineX, 0, dims.threePointLineX, dims.threePointY)],
+            ['paint', rect(dims.keyLeftX, dims.baselineY, dims.keyRightX - dims.keyLeftX, dims.keyHeight - dims.baselineY)],
+            ['restricted-area', circle(dims.restrictedRadius)]
+        ];
+        ZONE_CHART_PATHS.set(dims, paths);
+        return paths;
+    }
+
+    /** Bins attempts into flat-topped hexagons: size shows volume, colour shows FG%. Returns false when there is nothing to draw. */
+    static paintHexChart(ctx, actions, dims, x, y, width, height) {
+        const shots = ProfessionalCourtInterface.fieldGoalAttempts(actions);
+        if (!shots.length) return false;
+        const radius = dims.width / 24;
+        const colWidth = radius * 1.5; const rowHeight = radius * Math.sqrt(3);
+        const bins = new Map();
+        shots.forEach(shot => {
+            // Nearest hex centre: pick the column, then the row offset by half a hex on odd columns.
+            const col = Math.round(shot.location.svgX / colWidth);
+            const row = Math.round((shot.location.svgY - (col % 2 ? rowHeight / 2 : 0)) / rowHeight);
+            const key = `${col},${row}`;
+            if (!bins.has(key)) bins.set(key, { cx: col * colWidth, cy: row * rowHeight + (col % 2 ? rowHeight / 2 : 0), made: 0, attempted: 0 });
+            const bin = bins.get(key); bin.attempted++; if (shot.result === 'make') bin.made++;
+        });
+        const maxAttempts = Math.max(...[...bins.values()].map(bin => bin.attempted));
+        const scaleX = width / dims.width; const scaleY = height / dims.height;
+        bins.forEach(bin => {
+            const size = radius * (0.35 + 0.6 * Math.sqrt(bin.attempted / maxAttempts));
+            ctx.beginPath();
+            for (let i = 0; i < 6; i++) {
+                const angle = Math.PI / 3 * i;
+                const px = x + (bin.cx + size * Math.cos(angle)) * scaleX; const py = y + (bin.cy + size * Math.sin(angle)) * scaleY;
+                if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+            }
+            ctx.closePath();
+            ctx.fillStyle = ProfessionalCourtInterface.efficiencyColor(bin.made / bin.attempted, 0.85);
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)'; ctx.lineWidth = 1; ctx.stroke();
+        });
+        return true;
     }
 
     clearHeatmap() { document.getElementById('heatmapCanvas').classList.add('hidden'); }
@@ -362,8 +736,7 @@ class ProfessionalCourtInterface {
     
     calculateDistance(svgX, svgY) {
         const pixelDist = Math.hypot(svgX - this.dims.basketX, svgY - this.dims.basketY);
-        const unitsPerFoot = this.courtType === 'nba' ? this.dims.unitsPerFoot : this.dims.unitsPerMeter * 0.3048;
-        const feetDist = (pixelDist / unitsPerFoot);
+        const feetDist = (pixelDist / CourtStandards.unitsPerFoot(this.dims));
         return feetDist.toFixed(1);
     }
 
@@ -377,8 +750,1234 @@ class ProfessionalCourtInterface {
 }
 
 
+// --- GAME ENGINE MODULE ---
+// A game is an append-only log of typed events in `game.events`. Scores, player stats, team
+// fouls, timeouts, analytics and the court action list are never edited directly: GameEngine
+// derives them from the log and writes them back onto the game as read-only caches.
+//
+// Event types:
+//   shot       { team, playerId, result: 'make'|'miss', points, bucket: 'fg2'|'fg3'|'ft', shotType?, location?,
+//                foulId?, tripId?, attempt?, attempts?, oneAndOne? }  - free throws carry the foul and trip they belong to
+//   stat       { team, playerId, stat: 'rebound'|'assist'|'block'|'steal'|'turnover'|'foul', location? }
+//   foul       { team, playerId, foulType: 'personal'|'shooting'|'offensive'|'technical'|'unsportsmanlike', andOne?, shotId?, location? }
+//   sub        { team, playerId, outPlayerId?, elapsed } - playerId comes on, outPlayerId goes off
+//   violation  { team, violation: 'shotClock' }      - a team turnover with no player attached
+//   jumpBall   { team, alternating }   - team gets the ball; the first one is the opening tip, later ones follow the arrow
+//   possession { team }                - scorer hands the ball to a team (out of bounds and the like)
+//   timeout    { team, gameSeconds, duration } - a charged timeout, taken with gameSeconds left in the period
+//   teamStat   { team, stat: 'fouls'|'timeouts', delta }  - scorer corrections; a +1 timeout gives one back
+//   correction { targetId, changes }   - rewrites fields of an earlier event
+//   void       { targetId, undo?, redo? } - removes an earlier event from every total; voiding a
+//                correction reverts it, and voiding a void (redo) brings its target back
+
+const PLAYER_STAT_KEYS = { rebound: 'rebounds', assist: 'assists', block: 'blocks', steal: 'steals', turnover: 'turnovers' };
+const SHOT_BUCKET_KEYS = { fg2: 'fieldGoals', fg3: 'threePointers', ft: 'freeThrows' };
+const FOUL_TYPES = { personal: 'Personal', shooting: 'Shooting', offensive: 'Offensive', technical: 'Technical', unsportsmanlike: 'Unsportsmanlike' };
+
+// Which fouls count where. FIBA counts every player foul as a personal and a team foul and carries
+// fourth-period team fouls into overtime; the NBA leaves technicals out of both, leaves offensive
+// fouls out of the team count and resets to a three-foul limit each overtime.
+// Shot clock resets short of a full clock. FIBA and the NBA give 14 seconds to an offensive rebound
+// and top the clock up to 14 after a defensive foul that doesn't change possession; the NCAA uses 20,
+// and NFHS has no short clock, so both resets refill its 35.
+const SHOT_CLOCK_RULES = {
+    fiba: { offensiveRebound: 14, defensiveFoulMinimum: 14 },
+    nba: { offensiveRebound: 14, defensiveFoulMinimum: 14 },
+    ncaa: { offensiveRebound: 20, defensiveFoulMinimum: 20 },
+    nfhs: { offensiveRebound: 35, defensiveFoulMinimum: 35 },
+    fiba3x3: { offensiveRebound: 12, defensiveFoulMinimum: 12 }
+};
+
+const FOUL_RULES = {
+    fiba: { label: 'FIBA', personalFoulLimit: 5, personalTypes: ['personal', 'shooting', 'offensive', 'technical', 'unsportsmanlike'], teamTypes: ['personal', 'shooting', 'offensive', 'technical', 'unsportsmanlike'], overtimeCarriesFouls: true, overtimeBonusFouls: null, mixedEjection: true },
+    nba: { label: 'NBA', personalFoulLimit: 6, personalTypes: ['personal', 'shooting', 'offensive', 'unsportsmanlike'], teamTypes: ['personal', 'shooting', 'unsportsmanlike'], overtimeCarriesFouls: false, overtimeBonusFouls: 3, mixedEjection: false },
+    // College and high school count every foul against the team and treat overtime as part of the
+    // last regulation period. NCAA plays halves, so its per-period count is a per-half count; its bonus is a
+    // one-and-one until the tenth team foul (the double bonus), when it becomes two shots.
+    ncaa: { label: 'NCAA', personalFoulLimit: 5, personalTypes: ['personal', 'shooting', 'offensive', 'technical', 'unsportsmanlike'], teamTypes: ['personal', 'shooting', 'offensive', 'technical', 'unsportsmanlike'], overtimeCarriesFouls: true, overtimeBonusFouls: null, mixedEjection: false, doubleBonusFouls: 10 },
+    nfhs: { label: 'NFHS', personalFoulLimit: 5, personalTypes: ['personal', 'shooting', 'offensive', 'technical', 'unsportsmanlike'], teamTypes: ['personal', 'shooting', 'offensive', 'technical', 'unsportsmanlike'], overtimeCarriesFouls: true, overtimeBonusFouls: null, mixedEjection: false },
+    // 3x3 players never foul out. A shooting foul inside the arc is worth one free throw; from the
+    // tenth team foul the fouled team also keeps the ball after its free throws.
+    fiba3x3: { label: 'FIBA 3x3', personalFoulLimit: null, personalTypes: ['personal', 'shooting', 'offensive', 'technical', 'unsportsmanlike'], teamTypes: ['personal', 'shooting', 'offensive', 'technical', 'unsportsmanlike'], overtimeCarriesFouls: true, overtimeBonusFouls: null, mixedEjection: true, shootingFreeThrows: 1, possessionPenaltyFouls: 10 }
+};
+
+const PERIODS_PER_FORMAT = { quarters: 4, halves: 2, single: 1 };
+
+// The horn before a timeout ends, like FIBA's signal at 50 seconds of a 60-second timeout.
+const TIMEOUT_WARNING_SECONDS = 10;
+
+// Rule presets fill the config page. Durations are in minutes except timeoutDuration, which is in
+// seconds; breakDuration is the break between quarters and before each overtime. Timeouts are either
+// a per-game allowance or a first-half/second-half split, plus an allowance per overtime that either
+// adds to what's left (overtimeCarries) or replaces it. In the last regulation period a team may take
+// at most lastPeriodMax, and at most late.max once the clock is inside late.seconds. A game stores
+// the resolved values, so editing a preset later never changes a saved game.
+const RULE_PRESETS = {
+    fiba: { label: 'FIBA', gameFormat: 'quarters', periodDuration: 10, overtimeDuration: 5, halftimeDuration: 15, breakDuration: 2, timeoutRules: { halves: [2, 3], overtime: 1, overtimeCarries: false, late: { seconds: 120, max: 2 } }, timeoutDuration: 60, ruleSet: 'fiba', personalFoulLimit: 5, foulLimit: 4, shotClockTime: 24 },
+    nba: { label: 'NBA', gameFormat: 'quarters', periodDuration: 12, overtimeDuration: 5, halftimeDuration: 15, breakDuration: 2, timeoutRules: { perGame: 7, overtime: 2, overtimeCarries: false, lastPeriodMax: 4, late: { seconds: 180, max: 2 } }, timeoutDuration: 75, ruleSet: 'nba', personalFoulLimit: 6, foulLimit: 4, shotClockTime: 24 },
+    ncaa: { label: 'NCAA', gameFormat: 'halves', periodDuration: 20, overtimeDuration: 5, halftimeDuration: 15, breakDuration: 1, timeoutRules: { perGame: 4, overtime: 1, overtimeCarries: true }, timeoutDuration: 60, ruleSet: 'ncaa', personalFoulLimit: 5, foulLimit: 6, shotClockTime: 30 },
+    nfhs: { label: 'NFHS', gameFormat: 'quarters', periodDuration: 8, overtimeDuration: 4, halftimeDuration: 10, breakDuration: 1, timeoutRules: { perGame: 5, overtime: 1, overtimeCarries: true }, timeoutDuration: 60, ruleSet: 'nfhs', personalFoulLimit: 5, foulLimit: 4, shotClockTime: 35 }
+};
+
+// Config page inputs that a preset fills; their ids match the settings keys except overtimeTimeouts.
+const RULE_FIELDS = ['gameFormat', 'periodDuration', 'overtimeDuration', 'halftimeDuration', 'breakDuration', 'timeoutsPerTeam', 'overtimeTimeouts', 'timeoutDuration', 'ruleSet', 'personalFoulLimit', 'foulLimit', 'shotClockEnabled', 'shotClockTime'];
+
+// Points per shot bucket. fg2 is any field goal inside the arc and fg3 any from behind it, so 3x3
+// keeps the buckets and only changes what they are worth.
+const POINT_VALUES = { standard: { ft: 1, fg2: 2, fg3: 3 }, '3x3': { ft: 1, fg2: 1, fg3: 2 } };
+
+// Practice and professional games play the format chosen on the config page. A 3x3 game replaces it
+// with one 10-minute period that ends early when a team reaches 21, and an untimed overtime won by
+// the first team to score two points. 3x3 has no jump balls or possession arrow.
+const GAME_TYPES = {
+    practice: { label: 'Practice', playerStats: false, scoring: 'standard' },
+    professional: { label: 'Professional', playerStats: true, scoring: 'standard' },
+    '3x3': {
+        label: 'FIBA 3x3', playerStats: true, scoring: '3x3', winningScore: 21, overtimeWinningPoints: 2, jumpBalls: false,
+        settings: { rulePreset: 'custom', gameFormat: 'single', periodDuration: 10, overtimeDuration: 0, halftimeDuration: 0, breakDuration: 1, timeoutsPerTeam: 1, timeoutRules: { perGame: 1, overtime: 0, overtimeCarries: true }, timeoutDuration: 30, ruleSet: 'fiba3x3', personalFoulLimit: null, foulLimit: 6, shotClockEnabled: true, shotClockTime: 12, courtType: 'fiba3x3', lineupSize: 3 }
+    }
+};
+
+/**
+ * @class GameEngine
+ * The reducer that turns a game's event log into its totals.
+ */
+class GameEngine {
+    createId() { return Date.now() + '_' + Math.random().toString(36).substr(2, 9); }
+
+    createEvent(type, fields = {}) {
+        return { id: this.createId(), type, timestamp: new Date().toISOString(), ...fields };
+    }
+
+    emptyPlayerStats() { return { points: 0, rebounds: 0, assists: 0, fouls: 0, steals: 0, blocks: 0, turnovers: 0, fieldGoals: { made: 0, attempted: 0 }, threePointers: { made: 0, attempted: 0 }, freeThrows: { made: 0, attempted: 0 }, secondsPlayed: 0, plusMinus: 0, technicalFouls: 0, unsportsmanlikeFouls: 0, offensiveRebounds: 0 }; }
+
+    emptyAnalytics() { return { totalShots: 0, madeShots: 0, threePointAttempts: 0, threePointMakes: 0, totalActions: 0 }; }
+
+    getRuleSetId(game) { return FOUL_RULES[game.settings.ruleSet] ? game.settings.ruleSet : FOUL_RULES[game.settings.courtType] ? game.settings.courtType : 'fiba'; }
+
+    getFoulRules(game) { return FOUL_RULES[this.getRuleSetId(game)]; }
+
+    getShotClockRules(game) { return SHOT_CLOCK_RULES[this.getRuleSetId(game)]; }
+
+    getPersonalFoulLimit(game) { return game.settings.personalFoulLimit || this.getFoulRules(game).personalFoulLimit; }
+
+    getRegulationPeriods(game) { return PERIODS_PER_FORMAT[game.settings.gameFormat] || 4; }
+
+    getGameType(game) { return GAME_TYPES[game.type] || GAME_TYPES.professional; }
+
+    /** The settings a new game takes from a rule preset. */
+    getPresetSettings(presetId) {
+        const { label, ...settings } = RULE_PRESETS[presetId] || RULE_PRESETS.fiba;
+        const { halves, perGame } = settings.timeoutRules;
+        return { rulePreset: RULE_PRESETS[presetId] ? presetId : 'fiba', ...settings, timeoutRules: { ...settings.timeoutRules }, timeoutsPerTeam: halves ? halves[0] + halves[1] : perGame, shotClockEnabled: true };
+    }
+
+    /** Overtime length in seconds; games saved before overtime was configurable play five minutes. */
+    getOvertimeSeconds(game) { return (game.settings.overtimeDuration !== undefined ? game.settings.overtimeDuration : 5) * 60; }
+
+    getTimeoutRules(game) { return game.settings.timeoutRules || { perGame: game.settings.timeoutsPerTeam !== undefined ? game.settings.timeoutsPerTeam : 7, overtime: 0, overtimeCarries: true }; }
+
+    /**
+     * The timeouts a team may take in the window that `period` falls in, and the first period of that
+     * window. Games saved before timeout rules existed get `timeoutsPerTeam` for the whole game.
+     */
+    getTimeoutAllowance(game, period) {
+        const rules = this.getTimeoutRules(game);
+        const regulation = this.getRegulationPeriods(game);
+        if (period > regulation && !rules.overtimeCarries) return { from: period, allowed: rules.overtime || 0 };
+        const overtime = Math.max(0, period - regulation) * (rules.overtime || 0);
+        if (rules.halves && regulation >= 2) return period > regulation / 2 ? { from: Math.floor(regulation / 2) + 1, allowed: rules.halves[1] + overtime } : { from: 1, allowed: rules.halves[0] };
+        return { from: 1, allowed: (rules.halves ? rules.halves[0] + rules.halves[1] : rules.perGame) + overtime };
+    }
+
+    /**
+     * Timeouts a team has left right now: its window's allowance less what it used there, capped in the
+     * last regulation period by the per-period and late-clock limits. `taken` lists charged timeouts.
+     */
+    getTimeoutsLeft(game, used, taken) {
+        const period = game.gameState.period || 1;
+        const rules = this.getTimeoutRules(game);
+        const { from, allowed } = this.getTimeoutAllowance(game, period);
+        const usedSince = (first) => Object.keys(used).filter(p => Number(p) >= first && Number(p) <= period).reduce((sum, p) => sum + used[p], 0);
+        let left = allowed - usedSince(from);
+        if (period === this.getRegulationPeriods(game)) {
+            if (rules.lastPeriodMax) left = Math.min(left, rules.lastPeriodMax - usedSince(period));
+            if (rules.late && game.gameState.gameTime <= rules.late.seconds) left = Math.min(left, rules.late.max - taken.filter(t => t.period === period && t.gameSeconds <= rules.late.seconds).length);
+        }
+        return Math.max(0, left);
+    }
+
+    pointsForBucket(bucket, game) { return POINT_VALUES[this.getGameType(game).scoring][bucket]; }
+
+    /**
+     * Games saved before the event log existed keep their totals as a baseline that the log adds onto.
+     * Their court actions stay visible but cannot be undone.
+     */
+    migrate(game) {
+        if (Array.isArray(game.events)) return game;
+        game.events = [];
+        const { scores, periodScores, fouls, timeouts } = game.gameState;
+        game.baseline = JSON.parse(JSON.stringify({ stats: game.stats || {}, scores, periodScores: periodScores || { home: [], away: [] }, fouls, foulPeriod: game.gameState.period || 1, timeouts, analytics: game.analytics || this.emptyAnalytics(), shots: game.shots || [] }));
+        return game;
+    }
+
+    /**
+     * Ids taken out of the log by voids. Walking backwards means the latest void wins: a void that is
+     * itself voided no longer removes its target.
+     */
+    getVoidedIds(events) {
+        const voided = new Set();
+        for (let i = events.length - 1; i >= 0; i--) if (events[i].type === 'void' && !voided.has(events[i].id)) voided.add(events[i].targetId);
+        return voided;
+    }
+
+    /** Applies corrections and voids, returning the effective events in log order. */
+    resolveEvents(events) {
+        const voided = this.getVoidedIds(events);
+        const byId = new Map(); const order = [];
+        events.forEach(event => {
+            if (voided.has(event.id) || event.type === 'void') return;
+            if (event.type === 'correction') {
+                const target = byId.get(event.targetId);
+                if (target) byId.set(event.targetId, { ...target, ...event.changes, corrected: true, correctionIds: [...(target.correctionIds || []), event.id] });
+            } else {
+                byId.set(event.id, event); order.push(event.id);
+            }
+        });
+        return order.map(id => byId.get(id));
+    }
+
+    reduce(game) {
+        const base = game.baseline || null;
+        // Baseline stats predate fields added since (minutes, plus-minus), so they fill in on top of empty stats.
+        const stats = {}; const teams = ['home', 'away'];
+        teams.forEach(team => game.teams[team].players.forEach(player => { stats[player.id] = base && base.stats[player.id] ? { ...this.emptyPlayerStats(), ...JSON.parse(JSON.stringify(base.stats[player.id])) } : this.emptyPlayerStats(); }));
+        const state = {
+            stats,
+            scores: base ? { ...base.scores } : { home: 0, away: 0 },
+            periodScores: base ? JSON.parse(JSON.stringify(base.periodScores)) : { home: [], away: [] },
+            teamFouls: { home: {}, away: {} },
+            timeoutsUsed: { home: {}, away: {} },
+            timeoutsTaken: { home: [], away: [] },
+            analytics: base ? { ...this.emptyAnalytics(), ...base.analytics } : this.emptyAnalytics(),
+            shots: base ? [...base.shots] : [],
+            onCourt: { home: [], away: [] },
+            onCourtSince: {},
+            disqualified: {},
+            teamTurnovers: { home: 0, away: 0 },
+            possession: null,
+            possessions: { home: 0, away: 0 },
+            possessionArrow: null
+        };
+        const addTeamFouls = (team, period, delta) => { const fouls = state.teamFouls[team]; fouls[period] = Math.max(0, (fouls[period] || 0) + delta); };
+        if (base) ['home', 'away'].forEach(team => addTeamFouls(team, base.foulPeriod || 1, base.fouls[team] || 0));
+        const rules = this.getFoulRules(game);
+        const statsFor = (playerId) => { if (!state.stats[playerId]) state.stats[playerId] = this.emptyPlayerStats(); return state.stats[playerId]; };
+        this.resolveEvents(game.events).forEach(event => {
+            if (event.type === 'shot') this.reduceShot(state, event, statsFor(event.playerId));
+            else if (event.type === 'foul' || (event.type === 'stat' && event.stat === 'foul')) this.reduceFoul(state, event, statsFor(event.playerId), rules, game, addTeamFouls);
+            else if (event.type === 'stat') this.reduceStat(state, event, statsFor(event.playerId));
+            else if (event.type === 'violation') { state.teamTurnovers[event.team]++; state.analytics.totalActions++; }
+            else if (event.type === 'teamStat' && event.stat === 'fouls') addTeamFouls(event.team, event.period || 1, event.delta);
+            else if (event.type === 'timeout') { const used = state.timeoutsUsed[event.team]; used[event.period || 1] = (used[event.period || 1] || 0) + 1; state.timeoutsTaken[event.team].push({ period: event.period || 1, gameSeconds: event.gameSeconds }); }
+            else if (event.type === 'teamStat') {
+                const used = state.timeoutsUsed[event.team]; used[event.period || 1] = (used[event.period || 1] || 0) - event.delta;
+                // A refund gives back the latest timeouts of that period, so the late-clock count drops with it.
+                const taken = state.timeoutsTaken[event.team];
+                for (let i = taken.length - 1, left = event.delta; i >= 0 && left > 0; i--) if (taken[i].period === (event.period || 1)) { taken.splice(i, 1); left--; }
+            }
+            else if (event.type === 'sub') this.reduceSub(state, event, statsFor);
+            // The alternating-possession arrow always points away from the team that just got the ball on a jump.
+            else if (event.type === 'jumpBall') state.possessionArrow = event.team === 'home' ? 'away' : 'home';
+            if (event.location) state.shots.push(event);
+            const possessionBefore = state.possession;
+            state.possession = this.nextPossession(state.possession, event);
+            if (state.possession && state.possession !== possessionBefore) state.possessions[state.possession]++;
+        });
+        const now = game.gameState.clockElapsed || 0;
+        Object.keys(state.onCourtSince).forEach(playerId => { statsFor(playerId).secondsPlayed += Math.max(0, now - state.onCourtSince[playerId]); });
+        const period = game.gameState.period || 1;
+        const regulation = this.getRegulationPeriods(game);
+        const inOvertime = period > regulation;
+        const countFrom = inOvertime && rules.overtimeCarriesFouls ? regulation : period;
+        const bonusAt = inOvertime && rules.overtimeBonusFouls ? rules.overtimeBonusFouls : (game.settings.foulLimit || 4);
+        state.fouls = {}; state.penalty = {}; state.timeouts = {};
+        ['home', 'away'].forEach(team => {
+            state.fouls[team] = Object.keys(state.teamFouls[team]).filter(p => Number(p) >= countFrom && Number(p) <= period).reduce((sum, p) => sum + state.teamFouls[team][p], 0);
+            state.penalty[team] = state.fouls[team] >= bonusAt;
+            // Migrated games only know what was left when they were migrated, so they keep counting down from that.
+            const used = state.timeoutsUsed[team];
+            if (base) state.timeouts[team] = Math.max(0, base.timeouts[team] - Object.values(used).reduce((sum, n) => sum + n, 0));
+            else state.timeouts[team] = this.getTimeoutsLeft(game, used, state.timeoutsTaken[team]);
+        });
+        return state;
+    }
+
+    /** Which team has the ball after `event`. A miss leaves it with the shooters until someone rebounds; jump balls and scorer calls name the team outright. */
+    nextPossession(possession, event) {
+        const other = event.team === 'home' ? 'away' : 'home';
+        if (event.type === 'shot') {
+            const lastFreeThrow = event.bucket !== 'ft' || !event.attempts || event.attempt >= event.attempts;
+            return event.result === 'make' && lastFreeThrow ? other : event.team;
+        }
+        if (event.type === 'stat' && (event.stat === 'rebound' || event.stat === 'steal')) return event.team;
+        if (event.type === 'stat' && event.stat === 'turnover') return other;
+        if (event.type === 'foul' && event.foulType === 'offensive') return other;
+        if (event.type === 'violation') return other;
+        if (event.type === 'jumpBall' || event.type === 'possession') return event.team;
+        return possession;
+    }
+
+    /** Counts a player foul and marks disqualification: a foul-out at the rule set's limit, or an ejection for two technical/unsportsmanlike fouls. */
+    reduceFoul(state, event, stats, rules, game, addTeamFouls) {
+        const foulType = event.foulType || 'personal';
+        if (rules.personalTypes.includes(foulType)) stats.fouls++;
+        if (foulType === 'technical') stats.technicalFouls++;
+        if (foulType === 'unsportsmanlike') stats.unsportsmanlikeFouls++;
+        if (rules.teamTypes.includes(foulType)) addTeamFouls(event.team, event.period || 1, 1);
+        state.analytics.totalActions++;
+        if (state.disqualified[event.playerId]) return;
+        const ejected = stats.technicalFouls >= 2 || stats.unsportsmanlikeFouls >= 2 || (rules.mixedEjection && stats.technicalFouls + stats.unsportsmanlikeFouls >= 2);
+        if (ejected) state.disqualified[event.playerId] = { reason: 'ejected', eventId: event.id };
+        else if (this.getPersonalFoulLimit(game) && stats.fouls >= this.getPersonalFoulLimit(game)) state.disqualified[event.playerId] = { reason: 'fouled out', eventId: event.id };
+    }
+
+    /** Moves players between bench and floor; `elapsed` is game-clock seconds run so far, so minutes follow the clock. */
+    reduceSub(state, event, statsFor) {
+        const lineup = state.onCourt[event.team];
+        if (event.outPlayerId && lineup.includes(event.outPlayerId)) {
+            lineup.splice(lineup.indexOf(event.outPlayerId), 1);
+            statsFor(event.outPlayerId).secondsPlayed += Math.max(0, event.elapsed - state.onCourtSince[event.outPlayerId]);
+            delete state.onCourtSince[event.outPlayerId];
+        }
+        if (event.playerId && !lineup.includes(event.playerId)) {
+            lineup.push(event.playerId);
+            state.onCourtSince[event.playerId] = event.elapsed;
+        }
+    }
+
+    reduceShot(state, event, stats) {
+        const bucket = stats[SHOT_BUCKET_KEYS[event.bucket]];
+        const isMake = event.result === 'make';
+        bucket.attempted++;
+        if (isMake) {
+            bucket.made++; stats.points += event.points;
+            state.scores[event.team] += event.points;
+            const periodIndex = (event.period || 1) - 1;
+            state.periodScores[event.team][periodIndex] = (state.periodScores[event.team][periodIndex] || 0) + event.points;
+            const opponent = event.team === 'home' ? 'away' : 'home';
+            state.onCourt[event.team].forEach(playerId => { if (state.stats[playerId]) state.stats[playerId].plusMinus += event.points; });
+            state.onCourt[opponent].forEach(playerId => { if (state.stats[playerId]) state.stats[playerId].plusMinus -= event.points; });
+        }
+        if (event.bucket !== 'ft') {
+            state.analytics.totalShots++; if (isMake) state.analytics.madeShots++;
+            if (event.bucket === 'fg3') { state.analytics.threePointAttempts++; if (isMake) state.analytics.threePointMakes++; }
+        }
+        state.analytics.totalActions++;
+    }
+
+    reduceStat(state, event, stats) {
+        const key = PLAYER_STAT_KEYS[event.stat];
+        if (key) stats[key]++;
+        if (event.stat === 'rebound' && event.team === state.possession) stats.offensiveRebounds = (stats.offensiveRebounds || 0) + 1;
+        state.analytics.totalActions++;
+    }
+
+    /** Recomputes every derived field of the game from its event log. */
+    apply(game) {
+        this.migrate(game);
+        const state = this.reduce(game);
+        game.stats = state.stats;
+        game.analytics = state.analytics;
+        game.shots = state.shots;
+        Object.assign(game.gameState, { scores: state.scores, periodScores: state.periodScores, fouls: state.fouls, teamFouls: state.teamFouls, penalty: state.penalty, timeouts: state.timeouts, onCourt: state.onCourt, disqualified: state.disqualified, teamTurnovers: state.teamTurnovers, possession: state.possession, possessions: state.possessions, possessionArrow: state.possessionArrow });
+        return game;
+    }
+
+    /** Pace is possessions per team projected over a full regulation game; ratings are points scored and allowed per 100 possessions. */
+    getPossessionRatings(game) {
+        const { possessions = { home: 0, away: 0 }, scores, clockElapsed = 0 } = game.gameState;
+        const regulationSeconds = this.getRegulationPeriods(game) * game.settings.periodDuration * 60;
+        const per100 = (points, count) => count > 0 ? points / count * 100 : null;
+        const ratings = { pace: clockElapsed > 0 ? ((possessions.home + possessions.away) / 2) * regulationSeconds / clockElapsed : null };
+        ['home', 'away'].forEach(team => {
+            const opponent = team === 'home' ? 'away' : 'home';
+            ratings[team] = { possessions: possessions[team], offensiveRating: per100(scores[team], possessions[team]), defensiveRating: per100(scores[opponent], possessions[opponent]) };
+        });
+        return ratings;
+    }
+
+    findEvent(game, id) { return this.resolveEvents(game.events).find(event => event.id === id) || null; }
+
+    describeEvent(event, game) {
+        const who = event.playerId ? `#${event.playerNumber} ${event.playerName}` : '';
+        if (event.type === 'shot') {
+            const label = event.shotType || (event.bucket === 'ft' ? `${event.oneAndOne ? 'one-and-one ' : ''}free throw${event.attempts ? ` ${event.attempt} of ${event.attempts}` : ''}` : `${event.points}-pointer`);
+            return `${who} ${event.result === 'make' ? 'makes' : 'misses'} ${label}`;
+        }
+        if (event.type === 'foul') return `${who} ${FOUL_TYPES[event.foulType] ? FOUL_TYPES[event.foulType].toLowerCase() : 'personal'} foul${event.andOne ? ' (and-one)' : ''}`;
+        if (event.type === 'stat') return `${who} ${event.stat}`;
+        if (event.type === 'sub') return event.outPlayerId ? `${game.teams[event.team].name} sub: ${who} in for #${event.outPlayerNumber} ${event.outPlayerName}` : `${game.teams[event.team].name}: ${who} checks in`;
+        if (event.type === 'violation') return `${game.teams[event.team].name} shot clock violation (turnover)`;
+        if (event.type === 'jumpBall') return event.alternating ? `Alternating possession: ${game.teams[event.team].name} ball` : `Opening jump ball: ${game.teams[event.team].name} ball`;
+        if (event.type === 'possession') return `Possession: ${game.teams[event.team].name} ball`;
+        if (event.type === 'timeout') return `Timeout ${game.teams[event.team].name}`;
+        if (event.type === 'teamStat') return `${game.teams[event.team].name} ${event.stat === 'fouls' ? 'foul' : 'timeout'} ${event.delta > 0 ? 'added' : 'removed'}`;
+        if (event.type === 'correction' || event.type === 'void') {
+            const target = game.events.find(e => e.id === event.targetId);
+            return `${event.type === 'void' ? 'deletion' : 'correction'} of ${target ? this.describeEvent(target, game) : 'an earlier action'}`;
+        }
+        return event.type;
+    }
+}
+
+
+// --- EXPORT MODULE ---
+
+const EXPORT_FORMAT_ID = 'bgm-pro-game';
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * @class GameDataExporter
+ * Turns a game object into downloadable files and validates game files coming back in.
+ */
+class GameDataExporter {
+    constructor(engine) { this.engine = engine; }
+
+    buildFilename(game, suffix, extension) {
+        const slug = (game.name || 'game').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'game';
+        return `${game.code}_${slug}_${suffix}.${extension}`;
+    }
+
+    toJson(game) {
+        const envelope = { format: EXPORT_FORMAT_ID, version: EXPORT_FORMAT_VERSION, exportedAt: new Date().toISOString(), game };
+        return JSON.stringify(envelope, null, 2);
+    }
+
+    /**
+     * Combines the per-bucket counters in a player's stats into a box score shooting line.
+     * `fieldGoals` only holds two-point attempts, so FGM/FGA add the three-pointers back in.
+     */
+    getShootingLine(stats) {
+        const fg2 = stats.fieldGoals || { made: 0, attempted: 0 };
+        const fg3 = stats.threePointers || { made: 0, attempted: 0 };
+        const ft = stats.freeThrows || { made: 0, attempted: 0 };
+        return { fgm: fg2.made + fg3.made, fga: fg2.attempted + fg3.attempted, tpm: fg3.made, tpa: fg3.attempted, ftm: ft.made, fta: ft.attempted };
+    }
+
+    formatPct(made, attempted) { return attempted > 0 ? (made / attempted * 100).toFixed(1) : ''; }
+
+    getBoxScoreRow(stats) {
+        const line = this.getShootingLine(stats);
+        return [stats.points || 0, stats.rebounds || 0, stats.assists || 0, stats.steals || 0, stats.blocks || 0, stats.turnovers || 0, stats.fouls || 0,
+            line.fgm, line.fga, this.formatPct(line.fgm, line.fga), line.tpm, line.tpa, this.formatPct(line.tpm, line.tpa), line.ftm, line.fta, this.formatPct(line.ftm, line.fta)];
+    }
+
+    formatMinutes(seconds) {
+        const total = Math.round(seconds || 0);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    formatPlusMinus(value) { return value > 0 ? `+${value}` : String(value || 0); }
+
+    sumTeamStats(game, team) {
+        const totals = { points: 0, rebounds: 0, offensiveRebounds: 0, assists: 0, steals: 0, blocks: 0, turnovers: 0, fouls: 0, fieldGoals: { made: 0, attempted: 0 }, threePointers: { made: 0, attempted: 0 }, freeThrows: { made: 0, attempted: 0 } };
+        game.teams[team].players.forEach(player => {
+            const stats = game.stats[player.id]; if (!stats) return;
+            ['points', 'rebounds', 'offensiveRebounds', 'assists', 'steals', 'blocks', 'turnovers', 'fouls'].forEach(key => { totals[key] += stats[key] || 0; });
+            ['fieldGoals', 'threePointers', 'freeThrows'].forEach(key => { if (stats[key]) { totals[key].made += stats[key].made; totals[key].attempted += stats[key].attempted; } });
+        });
+        if (game.gameState.teamTurnovers) totals.turnovers += game.gameState.teamTurnovers[team] || 0;
+        return totals;
+    }
+
+    escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toPlayerCsv(game) {
+        const header = ['Team', 'Number', 'Player', 'Position', 'MIN', 'PTS', 'REB', 'AST', 'STL', 'BLK', 'TO', 'PF', 'FGM', 'FGA', 'FG%', '3PM', '3PA', '3P%', 'FTM', 'FTA', 'FT%', '+/-'];
+        const rows = [header];
+        ['home', 'away'].forEach(team => {
+            const teamName = game.teams[team].name;
+            [...game.teams[team].players].sort((a, b) => a.number - b.number).forEach(player => {
+                const stats = game.stats[player.id] || {};
+                rows.push([teamName, player.number, player.name, player.position, this.formatMinutes(stats.secondsPlayed), ...this.getBoxScoreRow(stats), this.formatPlusMinus(stats.plusMinus)]);
+            });
+            rows.push([teamName, '', 'TEAM TOTAL', '', '', ...this.getBoxScoreRow(this.sumTeamStats(game, team)), '']);
+        });
+        // The BOM makes spreadsheet apps read accented player names as UTF-8.
+        return '\uFEFF' + rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    download(filename, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Reads a roster from CSV: a header row naming number, name and position columns in any order, or
+     * bare number,name,position rows. A team column (as in our box score export) limits the import to
+     * the rows for `teamName`; a file with several teams and none called that is rejected. Returns the
+     * players and a note for each row that was skipped.
+     */
+    parseRosterCsv(text, teamName = '') {
+        const rows = this.splitCsv(text.replace(/^\uFEFF/, '')).filter(row => row.some(cell => cell.trim()));
+        if (!rows.length) throw new Error('The file has no rows.');
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const find = (names) => header.findIndex(cell => names.includes(cell));
+        let columns = { number: find(['number', 'no', 'no.', '#', 'jersey']), name: find(['name', 'player']), position: find(['position', 'pos']), team: find(['team']) };
+        const hasHeader = columns.number >= 0 && columns.name >= 0;
+        if (!hasHeader) columns = { number: 0, name: 1, position: 2, team: -1 };
+        const body = rows.slice(hasHeader ? 1 : 0).map((row, i) => ({ row, line: i + (hasHeader ? 2 : 1) }));
+        let selected = body;
+        if (columns.team >= 0) {
+            const teamOf = (row) => (row[columns.team] || '').trim();
+            const teams = [...new Set(body.map(({ row }) => teamOf(row)).filter(Boolean))];
+            if (teams.length > 1) {
+                const match = teams.find(team => team.toLowerCase() === teamName.trim().toLowerCase());
+                if (!match) throw new Error(`The file lists ${teams.length} teams (${teams.join(', ')}). Name this team after one of them, or remove the other rows.`);
+                selected = body.filter(({ row }) => teamOf(row) === match);
+            }
+        }
+        const players = []; const skipped = [];
+        selected.forEach(({ row, line }) => {
+            const name = (row[columns.name] || '').trim(); const number = parseInt(row[columns.number], 10);
+            if (name === 'TEAM TOTAL') return;
+            if (!name) { skipped.push(`Row ${line}: no player name`); return; }
+            if (isNaN(number) || number < 0 || number > 99) { skipped.push(`Row ${line}: ${name} has no valid jersey number`); return; }
+            const taken = players.find(p => p.number === number);
+            if (taken) { skipped.push(`Row ${line}: #${number} ${name} clashes with #${number} ${taken.name}`); return; }
+            players.push({ name, number, position: (columns.position >= 0 && (row[columns.position] || '').trim()) || 'N/A' });
+        });
+        return { players, skipped };
+    }
+
+    /** Splits CSV text into rows of cells, honouring quoted cells with commas, quotes and line breaks. */
+    splitCsv(text) {
+        const rows = []; let row = []; let cell = ''; let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else cell += char;
+            } else if (char === '"') quoted = true;
+            else if (char === ',') { row.push(cell); cell = ''; }
+            else if (char === '\n' || char === '\r') { if (char === '\r' && text[i + 1] === '\n') i++; row.push(cell); rows.push(row); row = []; cell = ''; }
+            else cell += char;
+        }
+        if (cell || row.length) { row.push(cell); rows.push(row); }
+        return rows;
+    }
+
+    /**
+     * Parses the text of an exported game file. Accepts both the export envelope and a bare game object.
+     * Returns the normalized game, or throws an Error describing why the file was rejected.
+     */
+    parseGameFile(text) {
+        let data;
+        try { data = JSON.parse(text); } catch (e) { throw new Error('The file is not valid JSON.'); }
+        if (data && data.format !== undefined) {
+            if (data.format !== EXPORT_FORMAT_ID) throw new Error('The file is not a Basketball Game Manager Pro export.');
+            if (data.version > EXPORT_FORMAT_VERSION) throw new Error('The file was exported by a newer version of the app.');
+            data = data.game;
+        }
+        return this.normalizeGame(data);
+    }
+
+    normalizeGame(game) {
+        if (!game || typeof game !== 'object') throw new Error('The file does not contain a game.');
+        if (typeof game.code !== 'string' || !/^[A-Z0-9]{6}$/.test(game.code)) throw new Error('The game code is missing or invalid.');
+        if (!game.teams || !game.teams.home || !game.teams.away) throw new Error('The game is missing its teams.');
+        ['home', 'away'].forEach(team => {
+            if (!Array.isArray(game.teams[team].players)) throw new Error(`The ${team} team has no player list.`);
+            game.teams[team].players.forEach(player => { if (!player || player.id === undefined || player.number === undefined) throw new Error(`The ${team} team has an invalid player entry.`); });
+        });
+        if (!game.gameState || !game.gameState.scores || !game.settings) throw new Error('The game is missing its state or settings.');
+        if (!game.stats || typeof game.stats !== 'object') game.stats = {};
+        if (!Array.isArray(game.shots)) game.shots = [];
+        if (!Array.isArray(game.playByPlay)) game.playByPlay = [];
+        if (!game.analytics) game.analytics = { totalShots: 0, madeShots: 0, threePointAttempts: 0, threePointMakes: 0, totalActions: 0 };
+        if (!game.name) game.name = 'Basketball Game';
+        if (!game.status) game.status = 'paused';
+        if (!game.type) game.type = 'professional';
+        // Custom courts travel with the game, so imports and remote viewers can draw them.
+        CourtStandards.registerAll(game.settings.customCourts);
+        return game;
+    }
+
+    getCourtDims(courtType) { return CourtStandards.getDims(courtType); }
+
+    /** Half-court charts only have room for actions on the attacking half; see ProfessionalCourtInterface.orientPoint. */
+    isFrontcourt(action) { return !!action.location && action.location.svgY <= this.getCourtDims(action.courtType).halfCourtY; }
+
+    getPeriodLabel(game, period) {
+        const regulation = this.engine.getRegulationPeriods(game);
+        if (period > regulation) return `OT${period - regulation}`;
+        if (regulation === 1) return 'REG';
+        return `${regulation === 2 ? 'H' : 'Q'}${period}`;
+    }
+
+    /**
+     * Points per team per period. Games created before period scores were tracked fall back to
+     * the made shots in the court action log, which misses quick-stat baskets.
+     */
+    getPeriodScores(game) {
+        const periods = Math.max(game.gameState.period || 1, this.engine.getRegulationPeriods(game));
+        const scores = { home: new Array(periods).fill(0), away: new Array(periods).fill(0) };
+        if (game.gameState.periodScores) {
+            ['home', 'away'].forEach(team => (game.gameState.periodScores[team] || []).forEach((points, i) => { scores[team][i] = points || 0; }));
+        } else {
+            game.shots.filter(shot => shot.result === 'make' && shot.period).forEach(shot => { scores[shot.team][shot.period - 1] += shot.points || 0; });
+        }
+        return scores;
+    }
+
+    /** Maps a recorded location onto the given court, for actions recorded while another court type was shown. */
+    projectLocation(location, fromCourtType, dims) {
+        const from = this.getCourtDims(fromCourtType);
+        return { x: location.svgX / from.width * dims.width, y: location.svgY / from.height * dims.height };
+    }
+}
+
+/**
+ * @class GameReportBuilder
+ * Lays out a game report with jsPDF: score summary, box scores, shot chart and play-by-play.
+ * The drawing helpers are shared with the per-player sheets of the ZIP package.
+ */
+class GameReportBuilder {
+    constructor(exporter) {
+        this.exporter = exporter;
+        this.engine = new GameEngine();
+        this.margin = 14;
+        this.pageWidth = 210;
+        this.pageHeight = 297;
+    }
+
+    createDocument() {
+        if (!window.jspdf || !window.jspdf.jsPDF) throw new Error('The PDF library failed to load. Check your connection and reload the page.');
+        this.doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
+        this.y = this.margin;
+        return this.doc;
+    }
+
+    build(game) {
+        this.createDocument();
+        this.drawHeader(game);
+        this.drawPeriodLine(game);
+        ['home', 'away'].forEach(team => this.drawBoxScore(game, team));
+        this.addPage();
+        this.drawSectionTitle('Combined Shot Chart');
+        this.drawShotChart(game, game.shots.filter(shot => this.exporter.isFrontcourt(shot)), this.margin, this.pageWidth - this.margin * 2, { markTeams: true });
+        this.addPage();
+        this.drawPlayByPlay(game);
+        return this.doc;
+    }
+
+    /** A one-page sheet with a single player's line and their own shots. */
+    buildPlayerSheet(game, player, team) {
+        this.createDocument();
+        const { doc } = this;
+        doc.setFont('helvetica', 'bold'); doc.setFontSize(18);
+        doc.text(`#${player.number} ${player.name}`, this.margin, this.y + 6);
+        doc.setFont('helvetica', 'normal'); doc.setFontSize(9); doc.setTextColor(98, 108, 113);
+        const { home, away } = game.teams; const scores = game.gameState.scores;
+        doc.text(`${game.teams[team].name} • ${player.position || 'N/A'} • ${game.name} • ${home.name} ${scores.home} - ${scores.away} ${away.name}`, this.margin, this.y + 12);
+        doc.setTextColor(0, 0, 0);
+        this.y += 18;
+        const row = this.exporter.getBoxScoreRow(game.stats[player.id] || {});
+        this.drawSectionTitle('Game Line');
+        this.drawTable(['PTS', 'REB', 'AST', 'STL', 'BLK', 'TO', 'PF', 'FG', 'FG%', '3P', '3P%', 'FT', 'FT%'],
+            [[...row.slice(0, 7), `${row[7]}-${row[8]}`, row[9] || '-', `${row[10]}-${row[11]}`, row[12] || '-', `${row[13]}-${row[14]}`, row[15] || '-']],
+            [13, 13, 13, 13, 13, 13, 13, 15, 14, 15, 14, 15, 14]);
+        this.y += 4;
+        this.drawSectionTitle('Shot Chart');
+        this.drawShotChart(game, game.shots.filter(action => action.playerId === player.id && this.exporter.isFrontcourt(action)), this.margin, this.pageWidth - this.margin * 2);
+        return doc;
+    }
+
+    addPage() { this.doc.addPage(); this.y = this.margin; }
+
+    ensureSpace(height) { if (this.y + height > this.pageHeight - this.margin) this.addPage(); }
+
+    drawSectionTitle(title) {
+        this.ensureSpace(12);
+        this.doc.setFont('helvetica', 'bold'); this.doc.setFontSize(13); this.doc.setTextColor(19, 52, 59);
+        this.doc.text(title, this.margin, this.y + 5);
+        this.y += 9;
+        this.doc.setFont('helvetica', 'normal'); this.doc.setFontSize(9); this.doc.setTextColor(0, 0, 0);
+    }
+
+    drawHeader(game) {
+        const { doc } = this; const { home, away } = game.teams; const scores = game.gameState.scores;
+        doc.setFont('helvetica', 'bold'); doc.setFontSize(18);
+        doc.text(game.name || 'Basketball Game', this.margin, this.y + 6);
+        doc.setFont('helvetica', 'normal'); doc.setFontSize(9); doc.setTextColor(98, 108, 113);
+        const played = new Date(game.created).toLocaleDateString();
+        doc.text(`Game code ${game.code} • ${played} • Status: ${game.status}`, this.margin, this.y + 12);
+        doc.setTextColor(0, 0, 0); doc.setFont('helvetica', 'bold'); doc.setFontSize(22);
+        doc.text(`${home.name} ${scores.home}  -  ${scores.away} ${away.name}`, this.pageWidth / 2, this.y + 26, { align: 'center' });
+        doc.setFont('helvetica', 'normal'); doc.setFontSize(9);
+        this.y += 34;
+    }
+
+    drawPeriodLine(game) {
+        const periodScores = this.exporter.getPeriodScores(game);
+        const periods = periodScores.home.length;
+        const columns = ['Team', ...periodScores.home.map((_, i) => this.exporter.getPeriodLabel(game, i + 1)), 'T'];
+        const rows = ['home', 'away'].map(team => [game.teams[team].name, ...periodScores[team], game.gameState.scores[team]]);
+        const firstWidth = 60; const width = Math.min(16, (this.pageWidth - this.margin * 2 - firstWidth) / (periods + 1));
+        this.drawSectionTitle('Scoring by Period');
+        this.drawTable(columns, rows, [firstWidth, ...new Array(periods + 1).fill(width)]);
+        this.y += 4;
+    }
+
+    drawBoxScore(game, team) {
+        const columns = ['#', 'Player', 'PTS', 'REB', 'AST', 'STL', 'BLK', 'TO', 'PF', 'FG', 'FG%', '3P', '3P%', 'FT', 'FT%'];
+        const widths = [8, 42, 10, 10, 10, 10, 10, 9, 9, 13, 12, 12, 12, 12, 12];
+        const toRow = (stats) => {
+            const row = this.exporter.getBoxScoreRow(stats);
+            return [...row.slice(0, 7), `${row[7]}-${row[8]}`, row[9] || '-', `${row[10]}-${row[11]}`, row[12] || '-', `${row[13]}-${row[14]}`, row[15] || '-'];
+        };
+        const players = [...game.teams[team].players].sort((a, b) => a.number - b.number);
+        const rows = players.map(player => [player.number, player.name, ...toRow(game.stats[player.id] || {})]);
+        rows.push(['', 'TEAM TOTAL', ...toRow(this.exporter.sumTeamStats(game, team))]);
+        this.drawSectionTitle(`${game.teams[team].name} Box Score`);
+        this.drawTable(columns, rows, widths, { boldLastRow: true });
+        this.y += 4;
+    }
+
+    /** Draws a table at the cursor, repeating the header row when it breaks onto a new page. */
+    drawTable(columns, rows, widths, options = {}) {
+        const { doc } = this; const rowHeight = 6;
+        const drawRow = (cells, bold, shaded) => {
+            if (shaded) { doc.setFillColor(235, 243, 244); doc.rect(this.margin, this.y, widths.reduce((a, b) => a + b, 0), rowHeight, 'F'); }
+            doc.setFont('helvetica', bold ? 'bold' : 'normal');
+            let x = this.margin;
+            cells.forEach((cell, i) => {
+                const text = doc.splitTextToSize(String(cell), widths[i] - 2)[0] || '';
+                doc.text(text, x + 1, this.y + 4);
+                x += widths[i];
+            });
+            this.y += rowHeight;
+        };
+        doc.setFontSize(8);
+        this.ensureSpace(rowHeight * 2);
+        drawRow(columns, true, true);
+        rows.forEach((row, i) => {
+            if (this.y + rowHeight > this.pageHeight - this.margin) { this.addPage(); drawRow(columns, true, true); }
+            drawRow(row, options.boldLastRow && i === rows.length - 1, false);
+        });
+        doc.setFont('helvetica', 'normal'); doc.setFontSize(9);
+    }
+
+    /**
+     * Every play in the event log, as corrected. The on-screen feed only keeps the latest 50 lines,
+     * so it is only used for games saved before the event log existed.
+     */
+    drawPlayByPlay(game) {
+        this.drawSectionTitle('Play-by-Play');
+        const lineHeight = 4.5; const width = this.pageWidth - this.margin * 2;
+        const events = this.engine.resolveEvents(game.events || []);
+        const plays = events.length
+            ? events.map(event => ({ period: event.period, time: event.gameClock || '', message: this.engine.describeEvent(event, game) }))
+            : [...(game.playByPlay || [])].reverse();
+        plays.forEach(play => {
+            const label = play.period ? `${this.exporter.getPeriodLabel(game, play.period)} ${play.time}` : play.time;
+            const lines = this.doc.splitTextToSize(`${label}  ${play.message}`, width);
+            this.ensureSpace(lines.length * lineHeight);
+            this.doc.text(lines, this.margin, this.y + 3.5);
+            this.y += lines.length * lineHeight;
+        });
+        if (!plays.length) this.doc.text('No plays recorded.', this.margin, this.y + 3.5);
+    }
+
+    /**
+     * Draws the half court at the cursor, `x` mm from the left edge and scaled to `width`, and plots the given actions on it.
+     * With `markTeams`, home actions are circles and away actions squares.
+     */
+    drawShotChart(game, actions, x, width, options = {}) {
+        const { doc } = this; const courtType = game.settings.courtType || 'fiba';
+        const dims = this.exporter.getCourtDims(courtType);
+        const scale = width / dims.width; const height = dims.height * scale;
+        this.ensureSpace(height + 12);
+        const y = this.y;
+        const px = (v) => x + v * scale; const py = (v) => y + v * scale;
+        doc.setFillColor(210, 166, 121); doc.rect(x, y, width, height, 'F');
+        doc.setDrawColor(40, 40, 40); doc.setLineWidth(0.4);
+        this.getCourtOutline(dims).forEach(points => {
+            for (let i = 1; i < points.length; i++) doc.line(px(points[i - 1][0]), py(points[i - 1][1]), px(points[i][0]), py(points[i][1]));
+        });
+        doc.setDrawColor(249, 115, 22); doc.circle(px(dims.basketX), py(dims.basketY), Math.max(0.8, dims.rimRadius * scale), 'S');
+        const markerSize = 1.6; doc.setLineWidth(0.3); doc.setDrawColor(255, 255, 255);
+        actions.forEach(action => {
+            const point = this.exporter.projectLocation(action.location, action.courtType || courtType, dims);
+            if (action.result === 'make') doc.setFillColor(16, 185, 129); else if (action.result === 'miss') doc.setFillColor(239, 68, 68); else doc.setFillColor(59, 130, 246);
+            if (options.markTeams && action.team === 'away') doc.rect(px(point.x) - markerSize, py(point.y) - markerSize, markerSize * 2, markerSize * 2, 'FD');
+            else doc.circle(px(point.x), py(point.y), markerSize, 'FD');
+        });
+        doc.setDrawColor(0, 0, 0); doc.setLineWidth(0.2);
+        this.y = y + height + 3;
+        this.drawShotChartLegend(game, actions, options);
+    }
+
+    drawShotChartLegend(game, actions, options) {
+        const { doc } = this; const shots = actions.filter(a => a.result === 'make' || a.result === 'miss');
+        const made = shots.filter(a => a.result === 'make').length;
+        let text = `Green = make, Red = miss, Blue = other action • ${made}/${shots.length} shots made`;
+        if (options.markTeams) text += ` • Circles: ${game.teams.home.name}, Squares: ${game.teams.away.name}`;
+        doc.setFontSize(8); doc.text(doc.splitTextToSize(text, this.pageWidth - this.margin * 2), this.margin, this.y + 3); doc.setFontSize(9);
+        this.y += 8;
+    }
+
+    /** Returns the court markings as polylines in court units, approximating arcs with short segments. */
+    getCourtOutline(c) {
+        const arc = (cx, cy, r, from, to, steps = 40) => Array.from({ length: steps + 1 }, (_, i) => { const a = from + (to - from) * i / steps; return [cx + r * Math.cos(a), cy + r * Math.sin(a)]; });
+        const rightCorner = Math.atan2(c.threePointY - c.basketY, c.width - c.threePointLineX - c.basketX);
+        const leftCorner = Math.atan2(c.threePointY - c.basketY, c.threePointLineX - c.basketX);
+        return [
+            [[0, c.baselineY], [c.width, c.baselineY], [c.width, c.halfCourtY], [0, c.halfCourtY], [0, c.baselineY]],
+            [[c.keyLeftX, c.baselineY], [c.keyLeftX, c.keyHeight], [c.keyRightX, c.keyHeight], [c.keyRightX, c.baselineY]],
+            arc(c.basketX, c.keyHeight, c.ftCircleRadius, 0, Math.PI),
+            arc(c.basketX, c.backboardY, c.restrictedRadius, 0, Math.PI, 20),
+            [[c.threePointLineX, c.baselineY], ...arc(c.basketX, c.basketY, c.threePointRadius, leftCorner, rightCorner, 60), [c.width - c.threePointLineX, c.baselineY]],
+            c.halfCourtOnly ? [] : arc(c.basketX, c.halfCourtY, c.centerCircleRadius, Math.PI, Math.PI * 2),
+            [[c.basketX - c.backboardWidth / 2, c.backboardY], [c.basketX + c.backboardWidth / 2, c.backboardY]]
+        ];
+    }
+}
+
+
+/**
+ * @class ShotChartImageRenderer
+ * Rasterizes the court SVG and a filtered set of actions into a captioned PNG.
+ */
+class ShotChartImageRenderer {
+    constructor(exporter) { this.exporter = exporter; }
+
+    /** Applies the export filter ({ team, playerId, period }) to the game's court actions. */
+    filterActions(game, filter) {
+        return game.shots.filter(action => this.exporter.isFrontcourt(action)
+            && (!filter.team || action.team === filter.team)
+            && (!filter.playerId || action.playerId === filter.playerId)
+            && (!filter.period || action.period === filter.period));
+    }
+
+    describeFilter(game, filter) {
+        const parts = [filter.team ? game.teams[filter.team].name : 'Both teams'];
+        const player = filter.playerId ? [...game.teams.home.players, ...game.teams.away.players].find(p => p.id === filter.playerId) : null;
+        parts.push(player ? `#${player.number} ${player.name}` : 'All players');
+        parts.push(filter.period ? this.exporter.getPeriodLabel(game, filter.period) : 'Full game');
+        return parts.join(' • ');
+    }
+
+    buildSvg(game, actions) {
+        const courtType = game.settings.courtType || 'fiba';
+        const dims = this.exporter.getCourtDims(courtType);
+        const ns = 'http://www.w3.org/2000/svg';
+        const markers = document.createElementNS(ns, 'g');
+        actions.forEach(action => {
+            const point = this.exporter.projectLocation(action.location, action.courtType || courtType, dims);
+            ProfessionalCourtInterface.createActionMarker(markers, { ...action, location: { svgX: point.x, svgY: point.y } }, dims.markerRadius);
+        });
+        const markup = new XMLSerializer().serializeToString(markers);
+        return { dims, svg: `<svg xmlns="${ns}" viewBox="0 0 ${dims.width} ${dims.height}" width="${dims.width}" height="${dims.height}"><rect width="100%" height="100%" fill="#D2A679"/>${ProfessionalCourtInterface.getCourtMarkings(dims)}${markup}</svg>` };
+    }
+
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('The court drawing could not be rasterized.'));
+            image.src = src;
+        });
+    }
+
+    /**
+     * Renders the chart at `width` pixels wide. Options: { team, playerId, period, heatmap, heatmapOpacity }.
+     * Resolves with a PNG Blob.
+     */
+    async render(game, width, options = {}) {
+        const actions = this.filterActions(game, options);
+        const { dims, svg } = this.buildSvg(game, actions);
+        const court = await this.loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+        const unit = width / 100;
+        const headerHeight = Math.round(unit * 12); const legendHeight = Math.round(unit * 8);
+        const courtHeight = Math.round(width * dims.height / dims.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = width; canvas.height = headerHeight + courtHeight + legendHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#13343b'; ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const title = options.team ? game.teams[options.team].name : `${game.teams.home.name} vs ${game.teams.away.name}`;
+        ctx.fillStyle = '#ffffff'; ctx.textBaseline = 'middle';
+        ctx.font = `bold ${Math.round(unit * 4.2)}px Inter, sans-serif`;
+        ctx.fillText(title, unit * 3, headerHeight * 0.36);
+        ctx.font = `${Math.round(unit * 2.4)}px Inter, sans-serif`; ctx.fillStyle = '#a7a9a9';
+        ctx.fillText(`${this.describeFilter(game, options)} • ${game.name}`, unit * 3, headerHeight * 0.76);
+
+        ctx.drawImage(court, 0, headerHeight, width, courtHeight);
+        if (options.heatmap) {
+            ctx.save(); ctx.globalAlpha = Number(options.heatmapOpacity) || 0.7;
+            const projected = actions.map(action => { const p = this.exporter.projectLocation(action.location, action.courtType || game.settings.courtType || 'fiba', dims); return { ...action, location: { svgX: p.x, svgY: p.y } }; });
+            ProfessionalCourtInterface.paintHeatmap(ctx, projected, dims, 0, headerHeight, width, courtHeight);
+            ctx.restore();
+        }
+        this.drawLegend(ctx, actions, unit, headerHeight + courtHeight, legendHeight);
+        return new Promise((resolve, reject) => canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The image could not be encoded.')), 'image/png'));
+    }
+
+    drawLegend(ctx, actions, unit, top, height) {
+        const shots = actions.filter(a => a.result === 'make' || a.result === 'miss');
+        const made = shots.filter(a => a.result === 'make').length;
+        const items = [['#10b981', `Make (${made})`], ['#ef4444', `Miss (${shots.length - made})`], ['#facc15', 'Rebound'], ['#3b82f6', 'Other']];
+        const middle = top + height / 2; let x = unit * 3;
+        ctx.font = `${Math.round(unit * 2.2)}px Inter, sans-serif`; ctx.textBaseline = 'middle';
+        items.forEach(([color, label]) => {
+            ctx.fillStyle = color; ctx.beginPath(); ctx.arc(x + unit, middle, unit, 0, Math.PI * 2); ctx.fill();
+            ctx.fillStyle = '#ffffff'; ctx.fillText(label, x + unit * 3, middle);
+            x += unit * 4 + ctx.measureText(label).width + unit * 3;
+        });
+        const pct = shots.length ? `${Math.round(made / shots.length * 100)}% FG` : 'No shots';
+        ctx.textAlign = 'right'; ctx.fillText(pct, unit * 97, middle); ctx.textAlign = 'left';
+    }
+}
+
+
+/**
+ * @class GamePackageBuilder
+ * Bundles the report, box score, raw game data and one sheet per player into a ZIP archive.
+ */
+class GamePackageBuilder {
+    constructor(exporter) { this.exporter = exporter; }
+
+    fileSlug(text) { return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'player'; }
+
+    /** Builds the archive, calling onProgress(percent, message) as each file is added. Resolves with a Blob. */
+    async build(game, onProgress = () => {}) {
+        if (typeof JSZip === 'undefined') throw new Error('The ZIP library failed to load. Check your connection and reload the page.');
+        const zip = new JSZip(); const files = [];
+        const add = (path, content, description, extra = {}) => { zip.file(path, content); files.push({ path, description, ...extra }); };
+        const players = ['home', 'away'].flatMap(team => [...game.teams[team].players].sort((a, b) => a.number - b.number).map(player => ({ team, player })));
+        const steps = players.length + 3; let done = 0;
+        const step = async (message) => { done++; onProgress(Math.round(done / steps * 80), message); await new Promise(resolve => setTimeout(resolve, 0)); };
+
+        add('game.json', this.exporter.toJson(game), 'Complete game data for backup and import');
+        add('box-score.csv', this.exporter.toPlayerCsv(game), 'Player box score with shooting splits');
+        await step('Building game report...');
+        add('game-report.pdf', new GameReportBuilder(this.exporter).build(game).output('arraybuffer'), 'Game summary report');
+        await step('Building player sheets...');
+        for (const { team, player } of players) {
+            const path = `players/${team}/${String(player.number).padStart(2, '0')}-${this.fileSlug(player.name)}.pdf`;
+            add(path, new GameReportBuilder(this.exporter).buildPlayerSheet(game, player, team).output('arraybuffer'), `Player sheet for #${player.number} ${player.name}`, { playerId: player.id, team });
+            await step(`Player sheet ${done - 1} of ${players.length}`);
+        }
+        const { home, away } = game.teams;
+        const manifest = {
+            format: `${EXPORT_FORMAT_ID}-package`, version: EXPORT_FORMAT_VERSION, generatedAt: new Date().toISOString(),
+            game: { code: game.code, name: game.name, status: game.status, created: game.created, home: { name: home.name, score: game.gameState.scores.home }, away: { name: away.name, score: game.gameState.scores.away } },
+            files: [...files, { path: 'manifest.json', description: 'This file' }]
+        };
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+        await step('Compressing package...');
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }, meta => onProgress(80 + Math.round(meta.percent * 0.2), 'Compressing package...'));
+    }
+}
+
+
+// --- ANALYTICS MODULE ---
+// Advanced numbers use the usual box-score formulas. Rebound shares and usage are scaled by minutes
+// when lineups were tracked; without minutes they fall back to a plain share of the team's total.
+
+const SHOT_ZONES = { 'restricted-area': 'Restricted Area', paint: 'Paint (Non-RA)', 'mid-range': 'Mid-Range', 'corner-three': 'Corner 3', 'above-break-three': 'Above the Break 3', backcourt: 'Backcourt' };
+
+// Table layouts for the analytics tab. `format` picks how a value is shown and `sort` the column the table starts on.
+const ANALYTICS_TABLES = {
+    teams: { sort: 'points', columns: [
+        { key: 'name', label: 'Team', format: 'text' }, { key: 'points', label: 'PTS', format: 'int' }, { key: 'efg', label: 'eFG%', format: 'pct' }, { key: 'ts', label: 'TS%', format: 'pct' },
+        { key: 'astTo', label: 'AST/TO', format: 'ratio' }, { key: 'orebPct', label: 'OREB%', format: 'pct' }, { key: 'drebPct', label: 'DREB%', format: 'pct' }, { key: 'pps', label: 'PPS', format: 'ratio' },
+        { key: 'possessions', label: 'Poss', format: 'int' }, { key: 'offensiveRating', label: 'ORtg', format: 'rating' }, { key: 'defensiveRating', label: 'DRtg', format: 'rating' }] },
+    players: { sort: 'points', columns: [
+        { key: 'name', label: 'Player', format: 'text' }, { key: 'teamName', label: 'Team', format: 'text' }, { key: 'secondsPlayed', label: 'MIN', format: 'minutes' }, { key: 'points', label: 'PTS', format: 'int' },
+        { key: 'efg', label: 'eFG%', format: 'pct' }, { key: 'ts', label: 'TS%', format: 'pct' }, { key: 'astTo', label: 'AST/TO', format: 'ratio' }, { key: 'orebPct', label: 'OREB%', format: 'pct' },
+        { key: 'drebPct', label: 'DREB%', format: 'pct' }, { key: 'rebPct', label: 'REB%', format: 'pct' }, { key: 'usage', label: 'USG%', format: 'pct' }, { key: 'pps', label: 'PPS', format: 'ratio' }] },
+    zones: { sort: 'attempted', columns: [
+        { key: 'label', label: 'Zone', format: 'text' }, { key: 'made', label: 'FGM', format: 'int' }, { key: 'attempted', label: 'FGA', format: 'int' }, { key: 'pct', label: 'FG%', format: 'pct' },
+        { key: 'pps', label: 'PPS', format: 'ratio' }, { key: 'share', label: '% of FGA', format: 'pct' }] }
+};
+
+/**
+ * @class GameAnalytics
+ * Computes per-team and per-player efficiency numbers and zone shooting splits from a game's derived stats and shot log.
+ */
+class GameAnalytics {
+    constructor(engine, exporter) { this.engine = engine; this.exporter = exporter; this.zoneDetectors = new WeakMap(); }
+
+    /**
+     * Maps a located field-goal attempt onto a SHOT_ZONES key using CourtZoneDetector.detectShotZone: a shot from the
+     * free-throw line counts as paint or mid-range by which side of the line it was taken, logo-range shots are
+     * above-the-break threes and heaves from the backcourt are their own zone. Free throws and unlocated shots have no zone.
+     */
+    getShotZone(event) {
+        if (event.type !== 'shot' || event.bucket === 'ft') return null;
+        return this.getLocationZone(event);
+    }
+
+    /** The SHOT_ZONES key for where any court action happened, or null when it has no location. */
+    getLocationZone(action) {
+        if (!action.location) return null;
+        return this.getZoneDetector(action.courtType).detectShotZone(action.location.svgX, action.location.svgY);
+    }
+
+    /** One detector per court, keyed by its dimensions so an edited custom court gets a fresh one. */
+    getZoneDetector(courtType) {
+        const dims = this.exporter.getCourtDims(courtType);
+        if (!this.zoneDetectors.has(dims)) this.zoneDetectors.set(dims, new CourtZoneDetector(dims));
+        return this.zoneDetectors.get(dims);
+    }
+
+    ratio(value, total) { return total > 0 ? value / total : null; }
+
+    /** A player's share of a team total, weighted by time on court when minutes are known. */
+    share(value, total, seconds, teamSeconds, lineupSize) {
+        if (!total) return null;
+        if (seconds > 0 && teamSeconds > 0) return value * (teamSeconds / lineupSize) / (seconds * total);
+        return value / total;
+    }
+
+    /** Shooting and playmaking rates that only need one stat line; eFG% and TS% are scaled to the game type's point values. */
+    getEfficiency(stats, game) {
+        const line = this.exporter.getShootingLine(stats);
+        const points = stats.points || 0;
+        const inside = this.engine.pointsForBucket('fg2', game); const behind = this.engine.pointsForBucket('fg3', game);
+        return {
+            points, fga: line.fga, fta: line.fta, turnovers: stats.turnovers || 0,
+            offensiveRebounds: stats.offensiveRebounds || 0, defensiveRebounds: (stats.rebounds || 0) - (stats.offensiveRebounds || 0), rebounds: stats.rebounds || 0,
+            efg: this.ratio(line.fgm + (behind - inside) / inside * line.tpm, line.fga),
+            ts: this.ratio(points, inside * (line.fga + 0.44 * line.fta)),
+            astTo: this.ratio(stats.assists || 0, stats.turnovers || 0),
+            pps: this.ratio(points - line.ftm, line.fga)
+        };
+    }
+
+    getZoneSplits(shots) {
+        const zones = {}; Object.keys(SHOT_ZONES).forEach(zone => { zones[zone] = { zone, label: SHOT_ZONES[zone], made: 0, attempted: 0, points: 0 }; });
+        shots.forEach(shot => { const split = zones[this.getShotZone(shot)]; if (!split) return; split.attempted++; if (shot.result === 'make') { split.made++; split.points += shot.points; } });
+        const located = Object.values(zones).reduce((sum, split) => sum + split.attempted, 0);
+        return Object.values(zones).map(split => ({ ...split, pct: this.ratio(split.made, split.attempted), pps: this.ratio(split.points, split.attempted), share: this.ratio(split.attempted, located) }));
+    }
+
+    compute(game) {
+        const lineupSize = game.settings.lineupSize || 5;
+        const ratings = this.engine.getPossessionRatings(game);
+        const shots = this.engine.resolveEvents(game.events || []).filter(event => event.type === 'shot');
+        const teams = {}; const players = []; const zones = {}; const totals = {};
+        ['home', 'away'].forEach(team => {
+            totals[team] = this.getEfficiency(this.exporter.sumTeamStats(game, team), game);
+            zones[team] = this.getZoneSplits(shots.filter(shot => shot.team === team));
+        });
+        ['home', 'away'].forEach(team => {
+            const own = totals[team]; const opp = totals[team === 'home' ? 'away' : 'home'];
+            const teamSeconds = game.teams[team].players.reduce((sum, player) => sum + ((game.stats[player.id] || {}).secondsPlayed || 0), 0);
+            const offensiveChances = own.offensiveRebounds + opp.defensiveRebounds;
+            const defensiveChances = own.defensiveRebounds + opp.offensiveRebounds;
+            const teamPlays = own.fga + 0.44 * own.fta + own.turnovers;
+            teams[team] = { ...own, team, name: game.teams[team].name, possessions: ratings[team].possessions, offensiveRating: ratings[team].offensiveRating, defensiveRating: ratings[team].defensiveRating,
+                orebPct: this.ratio(own.offensiveRebounds, offensiveChances), drebPct: this.ratio(own.defensiveRebounds, defensiveChances), rebPct: this.ratio(own.rebounds, own.rebounds + opp.rebounds) };
+            game.teams[team].players.forEach(player => {
+                const stats = game.stats[player.id] || this.engine.emptyPlayerStats();
+                const row = this.getEfficiency(stats, game);
+                const seconds = stats.secondsPlayed || 0;
+                players.push({
+                    ...row, id: player.id, team, teamName: game.teams[team].name, name: `#${player.number} ${player.name}`, secondsPlayed: seconds,
+                    orebPct: this.share(row.offensiveRebounds, offensiveChances, seconds, teamSeconds, lineupSize),
+                    drebPct: this.share(row.defensiveRebounds, defensiveChances, seconds, teamSeconds, lineupSize),
+                    rebPct: this.share(row.rebounds, own.rebounds + opp.rebounds, seconds, teamSeconds, lineupSize),
+                    usage: this.share(row.fga + 0.44 * row.fta + row.turnovers, teamPlays, seconds, teamSeconds, lineupSize)
+                });
+                zones[player.id] = this.getZoneSplits(shots.filter(shot => shot.playerId === player.id));
+            });
+        });
+        return { teams, players, zones };
+    }
+}
+
+// --- SYNC MODULE ---
+// A transport is any object with `name`, `open(onMessage, onConnected)`, `send(message)` and `close()`.
+// GameSyncChannel stamps outgoing messages and drops duplicates and stale updates on the way in.
+
+/**
+ * @class BroadcastChannelTransport
+ * Delivers messages to other tabs and windows of this browser through a BroadcastChannel.
+ */
+class BroadcastChannelTransport {
+    constructor(code) { this.code = code; this.name = 'broadcast'; this.channel = null; }
+    static isSupported() { return typeof BroadcastChannel !== 'undefined'; }
+    open(onMessage) {
+        this.channel = new BroadcastChannel(`bgm-sync-${this.code}`);
+        this.channel.onmessage = (e) => onMessage(e.data);
+    }
+    send(message) { if (this.channel) this.channel.postMessage(message); }
+    close() { if (this.channel) { this.channel.close(); this.channel = null; } }
+}
+
+/**
+ * @class StorageEventTransport
+ * Fallback for browsers without BroadcastChannel: small messages travel through a scratch
+ * localStorage key, and full games arrive through the storage event of the saved game itself.
+ */
+class StorageEventTransport {
+    constructor(code) { this.code = code; this.name = 'storage'; this.listener = null; }
+    static isSupported() { try { return typeof window.addEventListener === 'function' && typeof localStorage !== 'undefined'; } catch (e) { return false; } }
+    open(onMessage) {
+        this.listener = (e) => {
+            if (!e.newValue) return;
+            try {
+                if (e.key === `bgmsync_${this.code}`) onMessage(JSON.parse(e.newValue));
+                else if (e.key === `game_${this.code}`) onMessage({ type: 'game', payload: JSON.parse(e.newValue) });
+            } catch (err) { console.error('Error reading sync message:', err); }
+        };
+        window.addEventListener('storage', this.listener);
+    }
+    send(message) {
+        if (message.type === 'game') return; // saveGame has already written the game, which raises its own storage event.
+        try { localStorage.setItem(`bgmsync_${this.code}`, JSON.stringify(message)); } catch (e) { console.error('Error sending sync message:', e); }
+    }
+    close() { if (this.listener) { window.removeEventListener('storage', this.listener); this.listener = null; } }
+}
+
+/**
+ * @class WebSocketSyncTransport
+ * Connects to a relay (see relay-server.js) so controllers and viewers on different devices share a game.
+ * Reconnects with backoff, and keeps the latest full game to send as soon as the connection is back.
+ */
+class WebSocketSyncTransport {
+    constructor(url, code, role, password = null, relayKey = null) {
+        this.url = url; this.code = code; this.role = role; this.password = password; this.relayKey = relayKey; this.name = 'relay';
+        this.socket = null; this.closed = false; this.retryDelay = 1000; this.retryTimer = null;
+        this.pendingGame = null;
+        // Called when the relay refuses the join, so the app can tell the scorer why sharing stopped.
+        this.onRefused = null;
+    }
+    static isSupported() { return typeof WebSocket !== 'undefined'; }
+    get isConnected() { return !!this.socket && this.socket.readyState === WebSocket.OPEN; }
+    open(onMessage, onConnected = () => {}) {
+        this.onMessage = onMessage; this.onConnected = onConnected; this.closed = false;
+        this.connect();
+    }
+    connect() {
+        try { this.socket = new WebSocket(this.url); } catch (e) { console.error('Invalid relay address:', e); return; }
+        this.socket.onopen = () => {
+            this.retryDelay = 1000;
+            // The relay only lets a controller publish once it proves it holds the game's admin password;
+            // the relay key lets it claim a code the relay doesn't know yet.
+            const controller = this.role === 'controller';
+            this.socket.send(JSON.stringify({ kind: 'join', code: this.code, role: this.role, password: controller ? this.password : undefined, relayKey: controller && this.relayKey ? this.relayKey : undefined }));
+            if (this.pendingGame) { this.send(this.pendingGame); this.pendingGame = null; }
+            this.onConnected(this);
+        };
+        this.socket.onmessage = (e) => {
+            let data; try { data = JSON.parse(e.data); } catch (err) { return; }
+            if (data.kind === 'message') this.onMessage(data.message);
+        };
+        this.socket.onclose = (e) => {
+            // 1008 means the relay refused the join; retrying with the same password won't change that.
+            if (e.code === 1008) { console.error('The relay refused this connection.'); if (this.onRefused) this.onRefused(); return; }
+            this.scheduleReconnect();
+        };
+        this.socket.onerror = () => { if (this.socket) this.socket.close(); };
+    }
+    scheduleReconnect() {
+        if (this.closed || this.retryTimer) return;
+        this.retryTimer = setTimeout(() => { this.retryTimer = null; this.connect(); }, this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, 15000);
+    }
+    send(message) {
+        if (this.role !== 'controller') {
+            // A viewer may only ask the controller to send the whole game again.
+            if (message.type === 'resync' && this.isConnected) this.socket.send(JSON.stringify({ kind: 'resync' }));
+            return;
+        }
+        // Viewers get the game without the admin password.
+        const outgoing = message.type === 'game' ? { ...message, payload: { ...message.payload, adminPassword: undefined } } : message;
+        if (this.isConnected) this.socket.send(JSON.stringify({ kind: 'publish', message: outgoing }));
+        else if (message.type === 'game') this.pendingGame = message;
+    }
+    close() {
+        this.closed = true;
+        if (this.retryTimer) { clearTimeout(this.retryTimer); this.retryTimer = null; }
+        if (this.socket) { this.socket.onclose = null; this.socket.close(); this.socket = null; }
+    }
+}
+
+/**
+ * @class GameSyncChannel
+ * Publishes fine-grained game updates (clock, score, action, game) to viewers over one or more transports.
+ */
+class GameSyncChannel {
+    constructor(code, onMessage, onConnected = () => {}) {
+        this.code = code;
+        this.onMessage = onMessage;
+        this.onConnected = onConnected;
+        this.sourceId = Math.random().toString(36).substr(2, 9);
+        this.seq = 0;
+        this.lastSeen = {};
+        this.transports = [];
+        // Called when a source's messages skip a number, so a viewer knows it missed updates.
+        this.onGap = null;
+    }
+
+    static createLocalTransport(code) {
+        if (BroadcastChannelTransport.isSupported()) return new BroadcastChannelTransport(code);
+        if (StorageEventTransport.isSupported()) return new StorageEventTransport(code);
+        return null;
+    }
+
+    /** True when no transport is connected and viewers have to poll localStorage instead. */
+    get needsPolling() { return this.transports.length === 0; }
+
+    addTransport(transport) {
+        if (!transport) return;
+        try { transport.open(message => this.receive(message, transport), () => this.onConnected(transport)); this.transports.push(transport); } catch (e) { console.error(`Error opening ${transport.name} sync transport:`, e); }
+    }
+
+    publish(type, payload) {
+        const message = { type, payload, code: this.code, source: this.sourceId, seq: ++this.seq, sentAt: Date.now() };
+        this.transports.forEach(transport => { try { transport.send(message); } catch (e) { console.error(`Error publishing over ${transport.name}:`, e); } });
+    }
+
+    receive(message, transport) {
+        if (!message || !message.type) return;
+        if (message.source) {
+            if (message.source === this.sourceId) return;
+            // Each source numbers its messages; anything at or below the last one seen is a duplicate or arrived late.
+            const last = this.lastSeen[message.source] || 0;
+            if (message.seq <= last) return;
+            this.lastSeen[message.source] = message.seq;
+            // A skipped number, including a first message from a source already mid-game, means updates were missed.
+            if (message.seq !== last + 1 && this.onGap) this.onGap(message);
+        }
+        this.onMessage(message, transport);
+    }
+
+    close() { this.transports.forEach(transport => transport.close()); this.transports = []; }
+}
+
+
 // --- MAIN APPLICATION CLASS ---
 
+// Team logos are stored once each as data URLs under bgm_team_logos; games and library teams keep only the logo's id.
+const MAX_LOGO_BYTES = 150 * 1024;
+
 class BasketballGameManagerPro {
     constructor() {
         this.currentGame = null;
@@ -386,15 +1985,35 @@ class BasketballGameManagerPro {
         this.isAdmin = false;
         this.gameUpdateInterval = null;
         this.clockInterval = null;
-        this.shotClockInterval = null;
         this.selectedQuickPlayer = null;
         this.selectedCourtPlayer = null;
         this.selectedQuickTeam = 'home';
         this.selectedCourtTeam = 'home';
         this.playByPlayFeed = [];
-        this.undoStack = [];
-        this.maxUndoStackSize = 20;
-        
+        this.redoStack = [];
+        this.engine = new GameEngine();
+        this.exporter = new GameDataExporter(this.engine);
+        this.gameAnalytics = new GameAnalytics(this.engine, this.exporter);
+        this.analyticsSort = {};
+        this.analyticsZoneSubject = 'home';
+        this.shotChartFilter = this.getDefaultChartFilter();
+        this.selectedExportFormat = null;
+        this.syncChannel = null;
+        this.lastClockSync = null;
+        this.pendingSnapshot = null;
+        this.pendingRemoteJoin = null;
+        this.editingAction = null;
+        this.pendingSubOut = { home: null, away: null };
+        this.freeThrowTrip = null;
+        this.lastClockTick = 0;
+        this.lastClockPublish = 0;
+        this.logoStore = null;
+        this.remoteLogos = {};
+        this.publishedSignature = null;
+        this.lastResyncRequest = -Infinity;
+        this.storageFullWarned = false;
+        this.viewerClockInterval = null;
+
         // The court interface module will be initialized later, when needed.
         this.courtInterface = null;
     }
@@ -409,6 +2028,7 @@ class BasketballGameManagerPro {
 
     setupApplication() {
         try {
+            CourtStandards.registerAll(this.getSavedCourts());
             this.setupEventListeners();
             this.loadActiveGames();
             this.generateNewGameCode();
@@ -445,6 +2065,12 @@ class BasketballGameManagerPro {
         this.setupTabEvents();
         this.setupTeamTabEvents();
         this.setupExportEvents();
+        this.setupActionEditor();
+        this.setupLineupEvents();
+        this.setupFreeThrowEvents();
+        this.setupPossessionEvents();
+        this.setupAnalyticsEvents();
+        this.setupChartFilterEvents();
         this.setupFoulTimeoutControls();
         this.setupHelpModal();
         
@@ -460,57 +2086,640 @@ class BasketballGameManagerPro {
         });
     }
 
-    // --- NEW BRIDGE FUNCTION ---
-    handleNewCourtAction(data) {
-        const player = this.getSelectedPlayer('court');
-        if (!player) {
-            this.showAlert('Select Player', 'Please select a player for court actions.', 'warning');
-            return;
+    // --- NEW BRIDGE FUNCTION ---
+    handleNewCourtAction(data) {
+        const player = this.getSelectedPlayer('court');
+        if (!player) {
+            this.showAlert('Select Player', 'Please select a player for court actions.', 'warning');
+            return;
+        }
+
+        const { action, location } = data;
+        if (action === 'ft-trip') { this.openFreeThrowTrip({ mode: 'shooter', team: this.selectedCourtTeam, shooterId: player.id, attempts: 2, adjustable: true }); return; }
+        const [outcome, shotType] = action.split('-');
+        const event = this.createPlayerEvent('stat', player, this.selectedCourtTeam, {
+            action,
+            location,
+            courtType: this.courtInterface.courtType,
+            distance: this.courtInterface.calculateDistance(location.svgX, location.svgY)
+        });
+
+        if (outcome.includes('make') || outcome.includes('miss')) {
+            const result = outcome.startsWith('make') ? 'make' : 'miss';
+            // The menu only says made or missed; the location decides what a field goal was worth.
+            const resolved = outcome.includes('1') ? Promise.resolve('ft') : this.resolveShotBucket(location);
+            resolved.then(bucket => {
+                if (!bucket) return;
+                const points = this.engine.pointsForBucket(bucket, this.currentGame);
+                Object.assign(event, { type: 'shot', action: `${result}${points}${shotType ? `-${shotType}` : ''}`, result, points, bucket, shotType: shotType || null });
+                this.recordEvent(event);
+            });
+            return;
+        } else if (action === 'foul') {
+            this.chooseFoulType('shooting').then(foulType => { if (foulType) this.recordFoul(Object.assign(event, { type: 'foul', foulType })); });
+            return;
+        } else {
+            event.stat = action;
+        }
+
+        this.recordEvent(event);
+    }
+
+    /** Resolves to 'fg2' or 'fg3' from where a field goal was taken, asking the scorer when it is on the line; null when they cancel. */
+    resolveShotBucket(location) {
+        const detector = this.courtInterface.zoneDetector;
+        const bucket = detector.getShotBucket(location.svgX, location.svgY);
+        if (!detector.isOnThreePointLine(location.svgX, location.svgY)) return Promise.resolve(bucket);
+        const inside = this.engine.pointsForBucket('fg2', this.currentGame); const behind = this.engine.pointsForBucket('fg3', this.currentGame);
+        if (typeof Swal === 'undefined') return Promise.resolve(confirm(`This shot is on the three-point line. Was the shooter behind it?\nOK = ${behind} points, Cancel = ${inside} points`) ? 'fg3' : 'fg2');
+        return Swal.fire({ title: 'On the Line', text: 'This shot is on the three-point line. Where was the shooter?', input: 'radio', inputOptions: { fg2: `On or inside the line (${inside})`, fg3: `Behind the line (${behind})` }, inputValue: bucket, showCancelButton: true, confirmButtonText: 'Record Shot' }).then(result => result.isConfirmed ? result.value : null);
+    }
+
+    // --- FOULS ---
+    /** Resolves to the chosen foul type, or null when the scorer cancels. */
+    chooseFoulType(defaultType = 'personal') {
+        if (typeof Swal === 'undefined') return Promise.resolve(defaultType);
+        return Swal.fire({ title: 'Foul Type', input: 'select', inputOptions: FOUL_TYPES, inputValue: defaultType, showCancelButton: true, confirmButtonText: 'Record Foul' }).then(result => result.isConfirmed ? result.value : null);
+    }
+
+    /** Records a player foul, announces any disqualification or team penalty it caused, then opens the free throws it awards. */
+    recordFoul(event, awardFreeThrows = true) {
+        const wasPenalty = { ...(this.currentGame.gameState.penalty || {}) };
+        this.recordEvent(event);
+        const award = awardFreeThrows ? this.getFreeThrowAward(event, wasPenalty) : null;
+        if (award) this.openFreeThrowTrip({ mode: 'foul', team: event.team === 'home' ? 'away' : 'home', foulId: event.id, foulEvent: event, ...award });
+        const { disqualified = {}, penalty = {} } = this.currentGame.gameState;
+        const dq = disqualified[event.playerId];
+        if (dq && dq.eventId === event.id) {
+            const message = `#${event.playerNumber} ${event.playerName} ${dq.reason === 'ejected' ? 'is ejected' : 'has fouled out'}`;
+            this.addPlayByPlayEvent(message);
+            this.showAlert(dq.reason === 'ejected' ? 'Player Ejected' : 'Fouled Out', `${message}. Substitute them from the Lineups tab.`, 'warning');
+        } else if (penalty[event.team] && !wasPenalty[event.team]) {
+            const opponent = event.team === 'home' ? 'away' : 'home';
+            this.addPlayByPlayEvent(`${this.currentGame.teams[event.team].name} in the penalty - ${this.currentGame.teams[opponent].name} in the bonus`);
+            this.showAlert('Team Penalty', `${this.currentGame.teams[opponent].name} is in the bonus.`, 'info');
+        }
+    }
+
+    // --- FREE THROWS ---
+    /**
+     * Free throws a foul awards, or null. Shooting fouls default to two; the scorer switches to three or one before the
+     * first attempt. Under NCAA rules a bonus before the double bonus is a one-and-one.
+     */
+    getFreeThrowAward(event, wasPenalty = {}) {
+        const rules = this.engine.getFoulRules(this.currentGame);
+        let award = null;
+        if (event.foulType === 'shooting') award = { attempts: wasPenalty[event.team] ? 2 : rules.shootingFreeThrows || 2, adjustable: true };
+        else if (event.foulType === 'technical') award = { attempts: 1, adjustable: false };
+        else if (event.foulType === 'unsportsmanlike') award = { attempts: 2, adjustable: false };
+        else if (event.foulType === 'personal' && wasPenalty[event.team]) award = { attempts: 2, adjustable: false, oneAndOne: !!rules.doubleBonusFouls && this.currentGame.gameState.fouls[event.team] < rules.doubleBonusFouls };
+        if (award && rules.possessionPenaltyFouls && this.currentGame.gameState.fouls[event.team] >= rules.possessionPenaltyFouls) award.keepPossession = true;
+        return award;
+    }
+
+    /** Starts an and-one trip when the game's latest field goal is a make by the selected player; the scorer picks who fouled. */
+    startAndOne(player, team) {
+        const shot = [...this.engine.resolveEvents(this.currentGame.events)].reverse().find(event => event.type === 'shot' && event.bucket !== 'ft');
+        if (!shot || shot.playerId !== player.id || shot.result !== 'make') { this.showAlert('No Made Basket', `The and-one goes with the latest field goal, which must be a make by #${player.number} ${player.name}. Record the basket first.`, 'warning'); return; }
+        this.openFreeThrowTrip({ mode: 'shooter', team, shooterId: player.id, shotId: shot.id, attempts: 1, adjustable: false });
+    }
+
+    /**
+     * A trip is one set of free throws for one shooter. In 'foul' mode the foul is already logged and the scorer
+     * picks the shooter; in 'shooter' mode the shooter is known and the scorer must pick who fouled, so the foul is
+     * logged with the first attempt and every free throw belongs to a foul.
+     */
+    openFreeThrowTrip(trip) {
+        const modal = document.getElementById('freeThrowModal'); if (!modal) return;
+        this.freeThrowTrip = { tripId: this.engine.createId(), results: [], foulId: null, ...trip };
+        const opponent = trip.team === 'home' ? 'away' : 'home';
+        const shooterSelect = document.getElementById('ftShooter');
+        if (shooterSelect) {
+            this.fillPlayerSelect(shooterSelect, trip.team, 'Select shooter');
+            shooterSelect.value = trip.shooterId || this.guessFouledPlayer(trip.team) || '';
+        }
+        const foulerSelect = document.getElementById('ftFouler');
+        if (foulerSelect) this.fillPlayerSelect(foulerSelect, opponent, 'Select fouling player');
+        this.renderFreeThrowTrip();
+        modal.classList.remove('hidden');
+    }
+
+    /** The opposing team's most recent shooter is usually the player who was fouled. */
+    guessFouledPlayer(team) {
+        const last = [...this.engine.resolveEvents(this.currentGame.events)].reverse().find(event => event.type === 'shot' && event.bucket !== 'ft');
+        if (last && last.team === team) return last.playerId;
+        return this.getOnCourt(team)[0] || null;
+    }
+
+    renderFreeThrowTrip() {
+        const trip = this.freeThrowTrip; if (!trip) return;
+        const started = trip.results.length > 0;
+        const title = document.getElementById('freeThrowTitle');
+        if (title) title.textContent = trip.shotId ? 'And-One' : trip.oneAndOne ? 'One-and-One' : trip.foulEvent ? `${FOUL_TYPES[trip.foulEvent.foulType]} Foul Free Throws` : 'Free Throws';
+        const summary = document.getElementById('freeThrowSummary');
+        if (summary) summary.textContent = trip.foulEvent ? `Foul by #${trip.foulEvent.playerNumber} ${trip.foulEvent.playerName} - ${this.currentGame.teams[trip.team].name} shooting` : `${this.currentGame.teams[trip.team].name} shooting`;
+        const foulerGroup = document.getElementById('ftFoulerGroup'); if (foulerGroup) foulerGroup.classList.toggle('hidden', trip.mode !== 'shooter');
+        const foulerSelect = document.getElementById('ftFouler'); if (foulerSelect) foulerSelect.disabled = started;
+        const shooterSelect = document.getElementById('ftShooter'); if (shooterSelect) shooterSelect.disabled = started || trip.mode === 'shooter';
+        const attemptsGroup = document.getElementById('ftAttemptsGroup'); if (attemptsGroup) attemptsGroup.classList.toggle('hidden', !trip.adjustable || started);
+        document.querySelectorAll('.ft-attempts-btn').forEach(btn => btn.classList.toggle('active', Number(btn.dataset.attempts) === trip.attempts));
+        const progress = document.getElementById('ftProgress');
+        if (progress) progress.innerHTML = Array.from({ length: trip.attempts }, (_, i) => { const result = trip.results[i]; return `<span class="ft-pip ${result || ''}">${result === 'make' ? '✓' : result === 'miss' ? '✗' : i + 1}</span>`; }).join('');
+        const current = document.getElementById('ftCurrentAttempt'); if (current) current.textContent = `Attempt ${trip.results.length + 1} of ${trip.attempts}`;
+    }
+
+    recordFreeThrow(result) {
+        const trip = this.freeThrowTrip; if (!trip || !this.isAdmin) return;
+        if (!trip.results.length) {
+            const shooterId = trip.mode === 'shooter' ? trip.shooterId : document.getElementById('ftShooter').value;
+            if (!shooterId) { this.showAlert('Select Shooter', 'Choose the player shooting the free throws.', 'warning'); return; }
+            trip.shooterId = shooterId;
+            if (trip.mode === 'shooter') {
+                const fouler = this.getPlayerById(document.getElementById('ftFouler').value);
+                if (!fouler) { this.showAlert('Select Player', 'Choose the player who committed the foul.', 'warning'); return; }
+                const foul = this.createPlayerEvent('foul', fouler, this.getPlayerTeam(fouler.id), { foulType: 'shooting', andOne: !!trip.shotId, shotId: trip.shotId || null });
+                this.recordFoul(foul, false);
+                trip.foulId = foul.id; trip.foulEvent = foul;
+            }
+        }
+        const shooter = this.getPlayerById(trip.shooterId); if (!shooter) return;
+        const shot = this.createPlayerEvent('shot', shooter, trip.team, { result, points: 1, bucket: 'ft', shotType: null, foulId: trip.foulId, tripId: trip.tripId, attempt: trip.results.length + 1, attempts: trip.attempts });
+        if (trip.oneAndOne) shot.oneAndOne = true;
+        this.recordEvent(shot);
+        trip.results.push(result);
+        // A missed front end of a one-and-one is a live ball, so the second shot is never taken.
+        if (trip.results.length >= trip.attempts || (trip.oneAndOne && result === 'miss')) { this.closeFreeThrowTrip(); if (trip.keepPossession && this.currentGame.status !== 'final') this.setPossession(trip.team); }
+        else this.renderFreeThrowTrip();
+    }
+
+    setFreeThrowAttempts(attempts) {
+        const trip = this.freeThrowTrip; if (!trip || !trip.adjustable || trip.results.length) return;
+        trip.attempts = attempts;
+        this.renderFreeThrowTrip();
+    }
+
+    /** Ends the trip; stopping early keeps the attempts already recorded. */
+    closeFreeThrowTrip() {
+        const modal = document.getElementById('freeThrowModal'); if (modal) modal.classList.add('hidden');
+        this.freeThrowTrip = null;
+    }
+
+    /** Cancels a trip nothing has been recorded for yet, and asks before stopping one partway through. */
+    stopFreeThrowTrip() {
+        const trip = this.freeThrowTrip; if (!trip) return;
+        const stop = () => this.closeFreeThrowTrip();
+        if (!trip.results.length) { stop(); return; }
+        const remaining = trip.attempts - trip.results.length;
+        if (typeof Swal !== 'undefined') Swal.fire({ title: 'Stop Free Throws?', text: `${remaining} attempt${remaining > 1 ? 's' : ''} will not be recorded.`, icon: 'question', showCancelButton: true, confirmButtonText: 'Stop' }).then(result => { if (result.isConfirmed) stop(); });
+        else if (confirm(`Stop free throws? ${remaining} attempt(s) will not be recorded.`)) stop();
+    }
+
+    setupFreeThrowEvents() {
+        const makeBtn = document.getElementById('ftMakeBtn'); if (makeBtn) makeBtn.addEventListener('click', () => this.recordFreeThrow('make'));
+        const missBtn = document.getElementById('ftMissBtn'); if (missBtn) missBtn.addEventListener('click', () => this.recordFreeThrow('miss'));
+        const stopBtn = document.getElementById('ftStopBtn'); if (stopBtn) stopBtn.addEventListener('click', () => this.stopFreeThrowTrip());
+        const backdrop = document.querySelector('#freeThrowModal .modal-backdrop'); if (backdrop) backdrop.addEventListener('click', () => this.stopFreeThrowTrip());
+        document.querySelectorAll('.ft-attempts-btn').forEach(btn => btn.addEventListener('click', () => this.setFreeThrowAttempts(Number(btn.dataset.attempts))));
+    }
+
+    // --- POSSESSION ---
+    setupPossessionEvents() {
+        const jumpBallBtn = document.getElementById('jumpBallBtn');
+        if (jumpBallBtn) jumpBallBtn.addEventListener('click', (e) => { e.preventDefault(); this.recordJumpBall(); });
+        ['home', 'away'].forEach(team => { const btn = document.getElementById(`${team}Possession`); if (btn) btn.addEventListener('click', () => this.setPossession(team)); });
+    }
+
+    chooseTeam(title, text) {
+        const { home, away } = this.currentGame.teams;
+        if (typeof Swal === 'undefined') return Promise.resolve(confirm(`${text}\nOK = ${home.name}, Cancel = ${away.name}`) ? 'home' : 'away');
+        return Swal.fire({ title, text, input: 'radio', inputOptions: { home: home.name, away: away.name }, inputValue: 'home', showCancelButton: true, confirmButtonText: 'Confirm' }).then(result => result.isConfirmed ? result.value : null);
+    }
+
+    /** The first jump ball is the opening tip; every later one (held balls, period starts) goes to the team the arrow points at. */
+    recordJumpBall() {
+        if (!this.isAdmin || !this.currentGame) return;
+        if (this.engine.getGameType(this.currentGame).jumpBalls === false) { this.showAlert('No Jump Balls', 'This game type has no jump balls: a held ball goes to the defence. Set possession with the team buttons.', 'info'); return; }
+        const { possessionArrow, period } = this.currentGame.gameState;
+        const record = (team, alternating) => { if (team) this.recordEvent(this.engine.createEvent('jumpBall', { team, alternating, period, gameClock: this.formatTime(this.currentGame.gameState.gameTime) })); };
+        if (possessionArrow) record(possessionArrow, true);
+        else this.chooseTeam('Opening Jump Ball', 'Which team won the tip?').then(team => record(team, false));
+    }
+
+    /** Scorer override for possession changes no other event explains, such as out-of-bounds calls. */
+    setPossession(team) {
+        if (!this.isAdmin || !this.currentGame || this.currentGame.gameState.possession === team) return;
+        this.recordEvent(this.engine.createEvent('possession', { team, period: this.currentGame.gameState.period, gameClock: this.formatTime(this.currentGame.gameState.gameTime) }));
+    }
+
+    updatePossessionDisplays() {
+        const { possession, possessionArrow } = this.currentGame.gameState;
+        ['home', 'away'].forEach(team => [`${team}Possession`, `viewer${team === 'home' ? 'Home' : 'Away'}Possession`].forEach(id => { const el = document.getElementById(id); if (el) el.classList.toggle('has-ball', possession === team); }));
+        const arrow = possessionArrow === 'home' ? '◀ AP' : possessionArrow === 'away' ? 'AP ▶' : 'AP –';
+        ['possessionArrow', 'viewerPossessionArrow'].forEach(id => { const el = document.getElementById(id); if (el) { el.textContent = arrow; el.title = possessionArrow ? `Next alternating possession: ${this.currentGame.teams[possessionArrow].name}` : 'Set by the opening jump ball'; } });
+    }
+
+    getDisqualification(playerId) { return this.currentGame && this.currentGame.gameState.disqualified ? this.currentGame.gameState.disqualified[playerId] || null : null; }
+
+    // --- EVENT LOG ---
+    createPlayerEvent(type, player, team, fields = {}) {
+        return this.engine.createEvent(type, {
+            playerId: player.id,
+            playerNumber: player.number,
+            playerName: player.name,
+            team,
+            period: this.currentGame.gameState.period,
+            gameClock: this.formatTime(this.currentGame.gameState.gameTime),
+            ...fields
+        });
+    }
+
+    recordEvent(event, message = null) {
+        this.currentGame.events.push(event); this.publishEvent(event);
+        this.redoStack = [];
+        const possessionBefore = this.currentGame.gameState.possession || null;
+        this.addPlayByPlayEvent(message || this.engine.describeEvent(event, this.currentGame), event.targetId || event.id);
+        this.recomputeGame(() => this.applyShotClockRules(event, possessionBefore));
+        if (event.location) this.publishAction(event);
+        if (event.type === 'shot') this.checkWinningScore();
+    }
+
+    /** Game types with a winning score end the moment a team reaches it, or scores the overtime target in overtime. */
+    checkWinningScore() {
+        const type = this.engine.getGameType(this.currentGame);
+        if (!type.winningScore || this.currentGame.status === 'final') return;
+        const { scores, periodScores, period } = this.currentGame.gameState;
+        const regulation = this.engine.getRegulationPeriods(this.currentGame);
+        const overtimePoints = (team) => (periodScores[team] || []).slice(regulation).reduce((sum, points) => sum + (points || 0), 0);
+        const winner = ['home', 'away'].find(team => period > regulation ? overtimePoints(team) >= type.overtimeWinningPoints : scores[team] >= type.winningScore);
+        if (!winner) return;
+        this.playBuzzer();
+        this.addPlayByPlayEvent(period > regulation ? `${this.currentGame.teams[winner].name} wins in overtime` : `${this.currentGame.teams[winner].name} reaches ${type.winningScore}`);
+        this.endGame();
+    }
+
+    /** Re-derives every total from the event log, then redraws and saves. `afterApply` runs on the fresh totals before anything is drawn. */
+    recomputeGame(afterApply = null) {
+        this.engine.apply(this.currentGame);
+        if (afterApply) afterApply();
+        this.updateAllDisplays();
+        this.updateAnalytics();
+        this.updateActionsCount();
+        this.updateLineupsPanel();
+        this.publishScore();
+        this.saveGame();
+        this.refreshShotChart();
+    }
+
+    // --- CLOCKS ---
+    /** A change of possession gives a full clock; offensive rebounds and defensive fouls give the rule set's short reset. */
+    applyShotClockRules(event, possessionBefore) {
+        const { settings, gameState } = this.currentGame;
+        if (!settings.shotClockEnabled || !['shot', 'stat', 'foul', 'violation', 'jumpBall', 'possession'].includes(event.type)) return;
+        const rules = this.engine.getShotClockRules(this.currentGame);
+        const possession = gameState.possession || null;
+        if (possession && possession !== possessionBefore) gameState.shotClock = settings.shotClockTime || 24;
+        else if (event.type === 'stat' && event.stat === 'rebound' && event.team === possessionBefore) gameState.shotClock = rules.offensiveRebound;
+        else if (event.type === 'foul' && possession && event.team !== possession && ['personal', 'technical', 'unsportsmanlike'].includes(event.foulType)) gameState.shotClock = Math.max(gameState.shotClock, rules.defensiveFoulMinimum);
+    }
+
+    /** The shot clock is switched off once the game clock can no longer outlast it. */
+    isShotClockOff() {
+        const { settings, gameState } = this.currentGame;
+        return !settings.shotClockEnabled || (!this.isUntimedPeriod() && gameState.shotClock > gameState.gameTime);
+    }
+
+    /** 3x3 overtime has no game clock: it lasts until a team scores the overtime target. */
+    isUntimedPeriod() {
+        const { gameState } = this.currentGame;
+        return !!this.engine.getGameType(this.currentGame).overtimeWinningPoints && gameState.period > this.engine.getRegulationPeriods(this.currentGame);
+    }
+
+    monotonicNow() { return typeof performance !== 'undefined' ? performance.now() : Date.now(); }
+
+    /**
+     * One tick drives both clocks so they always stop and start together. Each tick subtracts the real time
+     * since the previous one, so a late or throttled timer never loses time; the interval only sets the refresh rate.
+     */
+    tickClocks() {
+        const gameState = this.currentGame.gameState;
+        const now = this.monotonicNow();
+        const untimed = this.isUntimedPeriod();
+        const delta = Math.min(Math.max(0, (now - this.lastClockTick) / 1000), untimed ? Infinity : gameState.gameTime);
+        this.lastClockTick = now;
+        if (delta <= 0) return;
+        const shotClockRunning = !this.isShotClockOff() && gameState.shotClock > 0;
+        const late = this.engine.getTimeoutRules(this.currentGame).late;
+        const lateBefore = late && gameState.gameTime > late.seconds;
+        if (!untimed) gameState.gameTime = Math.max(0, gameState.gameTime - delta);
+        // Crossing the late-timeout mark can take timeouts away, so recount them there.
+        if (lateBefore && gameState.gameTime <= late.seconds && gameState.period === this.engine.getRegulationPeriods(this.currentGame)) { this.engine.apply(this.currentGame); this.updateScoreDisplays(); this.publishScore(); }
+        gameState.clockElapsed = (gameState.clockElapsed || 0) + delta;
+        if (shotClockRunning) gameState.shotClock = Math.max(0, gameState.shotClock - delta);
+        this.updateClockDisplays();
+        if (now - this.lastClockPublish >= 1000) this.publishClock();
+        if (this.isTabActive('lineups') && Math.floor(gameState.clockElapsed) !== Math.floor(gameState.clockElapsed - delta)) { this.engine.apply(this.currentGame); this.updateLineupsPanel(); }
+        if (!untimed && gameState.gameTime <= 0) { gameState.gameTime = 0; this.handlePeriodEnd(); }
+        else if (shotClockRunning && gameState.shotClock <= 0) { gameState.shotClock = 0; this.handleShotClockViolation(); }
+    }
+
+    /** Accepts "m:ss", "m:ss.t" or plain seconds ("45.3"); returns NaN for anything else. */
+    parseClock(text) {
+        const match = String(text).trim().match(/^(?:(\d{1,2}):)?(\d{1,2}(?:\.\d)?)$/);
+        if (!match) return NaN;
+        const seconds = parseFloat(match[2]);
+        if (match[1] !== undefined && seconds >= 60) return NaN;
+        return (match[1] ? parseInt(match[1], 10) * 60 : 0) + seconds;
+    }
+
+    getPeriodLength() {
+        const { settings, gameState } = this.currentGame;
+        if (this.isUntimedPeriod()) return 0;
+        return gameState.period > this.engine.getRegulationPeriods(this.currentGame) ? this.engine.getOvertimeSeconds(this.currentGame) : settings.periodDuration * 60;
+    }
+
+    promptSetGameClock() {
+        if (!this.isAdmin || !this.currentGame) return;
+        const current = this.formatClock(this.currentGame.gameState.gameTime);
+        const apply = (value) => {
+            const seconds = this.parseClock(value);
+            if (isNaN(seconds) || seconds > this.getPeriodLength()) { this.showAlert('Invalid Time', `Enter a time between 0:00 and ${this.formatTime(this.getPeriodLength())}, e.g. 4:32 or 45.3.`, 'warning'); return; }
+            this.setGameClock(seconds);
+        };
+        if (typeof Swal !== 'undefined') Swal.fire({ title: 'Set Game Clock', input: 'text', inputValue: current, inputLabel: 'm:ss or seconds with tenths', showCancelButton: true, confirmButtonText: 'Set' }).then(result => { if (result.isConfirmed) apply(result.value); });
+        else { const value = prompt('Set game clock (m:ss or seconds with tenths)', current); if (value !== null) apply(value); }
+    }
+
+    adjustGameClock(deltaSeconds) {
+        if (!this.isAdmin || !this.currentGame) return;
+        this.setGameClock(Math.min(this.getPeriodLength(), Math.max(0, this.currentGame.gameState.gameTime + deltaSeconds)));
+    }
+
+    /** Manual clock changes are written to the play-by-play so the scoresheet shows every correction. */
+    setGameClock(seconds) {
+        const gameState = this.currentGame.gameState;
+        const before = this.formatClock(gameState.gameTime);
+        const target = Math.round(seconds * 10) / 10;
+        // Playing time follows the corrected clock, so minutes played stay in step with it.
+        gameState.clockElapsed = Math.max(0, (gameState.clockElapsed || 0) + gameState.gameTime - target);
+        gameState.gameTime = target;
+        this.addPlayByPlayEvent(`Clock set by scorer: ${before} → ${this.formatClock(gameState.gameTime)}`);
+        // Moving the clock across the late-timeout mark changes how many timeouts are left.
+        this.engine.apply(this.currentGame);
+        this.updateClockDisplays(); this.updateScoreDisplays(); this.publishClock(); this.publishScore(); this.saveGame();
+    }
+
+    handleShotClockViolation() {
+        const team = this.currentGame.gameState.possession;
+        this.clearIntervals(); this.currentGame.status = 'paused';
+        this.playBuzzer();
+        if (team) this.recordEvent(this.engine.createEvent('violation', { team, violation: 'shotClock', period: this.currentGame.gameState.period, gameClock: this.formatTime(this.currentGame.gameState.gameTime) }));
+        else { this.addPlayByPlayEvent('Shot clock violation'); this.updateAllDisplays(); this.saveGame(); }
+        this.publishSync('alert', { kind: 'shotClock', team, message: team ? `Shot clock violation - ${this.currentGame.teams[team].name}` : 'Shot clock violation' });
+        this.showAlert('Shot Clock Violation', team ? `Turnover charged to ${this.currentGame.teams[team].name}. Clock stopped.` : 'Clock stopped. No team had possession recorded.', 'warning');
+    }
+
+    /** A short horn made with Web Audio, so no sound file has to ship with the app. */
+    playBuzzer(duration = 0.9) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext; if (!AudioContext) return;
+        try {
+            if (!this.audioContext) this.audioContext = new AudioContext();
+            const ctx = this.audioContext; const oscillator = ctx.createOscillator(); const gain = ctx.createGain();
+            oscillator.type = 'sawtooth'; oscillator.frequency.value = 220;
+            gain.gain.setValueAtTime(0.25, ctx.currentTime); gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + duration);
+            oscillator.connect(gain); gain.connect(ctx.destination);
+            oscillator.start(); oscillator.stop(ctx.currentTime + duration);
+        } catch (error) { console.warn('Buzzer unavailable:', error); }
+    }
+
+    showViewerNotice(message) {
+        const notice = document.getElementById('viewerNotice'); if (!notice) return;
+        notice.textContent = message; notice.classList.remove('hidden');
+        clearTimeout(this.viewerNoticeTimer);
+        this.viewerNoticeTimer = setTimeout(() => notice.classList.add('hidden'), 5000);
+    }
+
+    /** Voids the latest action still in effect, skipping undo and redo voids. The log only grows; redo voids the undo. */
+    undoLastAction() {
+        if (!this.isAdmin || !this.currentGame) return;
+        const { events } = this.currentGame;
+        const voided = this.engine.getVoidedIds(events);
+        const event = [...events].reverse().find(e => !voided.has(e.id) && !(e.type === 'void' && (e.undo || e.redo)));
+        if (!event) return;
+        const undo = this.engine.createEvent('void', { targetId: event.id, undo: true, period: this.currentGame.gameState.period, gameClock: this.formatTime(this.currentGame.gameState.gameTime) });
+        events.push(undo); this.publishEvent(undo);
+        this.redoStack.push(undo.id);
+        this.addPlayByPlayEvent(`Undone: ${this.engine.describeEvent(event, this.currentGame)}`, event.targetId || event.id);
+        this.recomputeGame();
+        this.showAlert('Action Undone', '', 'success');
+    }
+
+    /** Voids the latest undo, which brings its action back. */
+    redoLastAction() {
+        if (!this.isAdmin || !this.currentGame || !this.redoStack.length) return;
+        const undo = this.currentGame.events.find(e => e.id === this.redoStack[this.redoStack.length - 1]);
+        this.redoStack.pop();
+        if (!undo) return;
+        const event = this.currentGame.events.find(e => e.id === undo.targetId);
+        if (!event) return;
+        const redo = this.engine.createEvent('void', { targetId: undo.id, redo: true, period: this.currentGame.gameState.period, gameClock: this.formatTime(this.currentGame.gameState.gameTime) });
+        this.currentGame.events.push(redo); this.publishEvent(redo);
+        this.addPlayByPlayEvent(`Redone: ${this.engine.describeEvent(event, this.currentGame)}`, event.targetId || event.id);
+        this.recomputeGame();
+    }
+
+    // --- ACTION EDITOR ---
+    setupActionEditor() {
+        const feed = document.getElementById('playByPlay');
+        [feed, document.getElementById('actionLogList')].forEach(list => { if (list) list.addEventListener('click', (e) => { const item = e.target.closest('.feed-item.editable'); if (item) this.openActionEditor(item.dataset.eventId); }); });
+        const modal = document.getElementById('actionEditorModal'); if (!modal) return;
+        [modal.querySelector('.modal-close'), modal.querySelector('.modal-backdrop'), document.getElementById('cancelActionEditBtn')].forEach(el => { if (el) el.addEventListener('click', () => this.hideActionEditor()); });
+        const saveBtn = document.getElementById('saveActionEditBtn'); if (saveBtn) saveBtn.addEventListener('click', () => this.saveActionCorrection());
+        const deleteBtn = document.getElementById('deleteActionBtn'); if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteAction());
+        const moveBtn = document.getElementById('moveActionBtn'); if (moveBtn) moveBtn.addEventListener('click', () => this.moveActionOnCourt());
+    }
+
+    openActionEditor(eventId) {
+        if (!this.isAdmin || !this.currentGame) return;
+        const event = this.engine.findEvent(this.currentGame, eventId);
+        if (!event || !['shot', 'stat', 'foul'].includes(event.type)) { this.showAlert('Cannot Edit', 'This action is no longer in the game log. It may have been undone, deleted or recorded before editing was available.', 'info'); return; }
+        const modal = document.getElementById('actionEditorModal'); if (!modal) return;
+        this.editingAction = { event, location: null };
+        const summary = document.getElementById('actionEditorSummary');
+        if (summary) summary.textContent = `${this.exporter.getPeriodLabel(this.currentGame, event.period)} ${event.gameClock || ''} - ${this.engine.describeEvent(event, this.currentGame)}${event.corrected ? ' (corrected)' : ''}`;
+        const playerSelect = document.getElementById('editActionPlayer');
+        if (playerSelect) {
+            playerSelect.innerHTML = '';
+            ['home', 'away'].forEach(team => playerSelect.appendChild(this.createOptionGroup(this.currentGame.teams[team].name, this.currentGame.teams[team].players.map(p => new Option(`#${p.number} ${p.name}`, p.id)))));
+            playerSelect.value = event.playerId;
         }
+        const isShot = event.type === 'shot';
+        const shotFields = document.getElementById('editShotFields'); if (shotFields) shotFields.classList.toggle('hidden', !isShot);
+        const statFields = document.getElementById('editStatFields'); if (statFields) statFields.classList.toggle('hidden', event.type !== 'stat');
+        const foulFields = document.getElementById('editFoulFields'); if (foulFields) foulFields.classList.toggle('hidden', event.type !== 'foul');
+        if (isShot) {
+            document.getElementById('editActionResult').value = event.result;
+            document.getElementById('editActionBucket').value = event.bucket;
+            const shotTypeSelect = document.getElementById('editActionShotType');
+            if (event.shotType && !shotTypeSelect.querySelector(`option[value="${event.shotType}"]`)) shotTypeSelect.insertAdjacentHTML('beforeend', `<option value="${event.shotType}">${event.shotType}</option>`);
+            shotTypeSelect.value = event.shotType || '';
+        } else if (event.type === 'foul') {
+            document.getElementById('editActionFoulType').value = event.foulType || 'personal';
+        } else {
+            document.getElementById('editActionStat').value = event.stat;
+        }
+        const locationRow = document.getElementById('editLocationRow'); if (locationRow) locationRow.classList.toggle('hidden', !event.location);
+        this.updateActionEditorLocation();
+        modal.classList.remove('hidden');
+    }
 
-        const { action, location } = data;
-        const distance = this.courtInterface.calculateDistance(location.svgX, location.svgY);
-        const [outcome, shotType] = action.split('-');
-        
-        const statEntry = {
-            id: Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-            playerId: player.id,
-            playerNumber: player.number,
-            playerName: player.name,
-            team: this.selectedCourtTeam,
-            action,
-            location,
-            distance,
-            period: this.currentGame.gameState.period,
-            gameClock: this.formatTime(this.currentGame.gameState.gameTime),
-            timestamp: new Date().toISOString()
-        };
+    hideActionEditor() {
+        const modal = document.getElementById('actionEditorModal'); if (modal) modal.classList.add('hidden');
+        if (this.courtInterface) this.courtInterface.cancelLocationPick();
+        this.editingAction = null;
+    }
 
-        if (outcome.includes('make') || outcome.includes('miss')) {
-            statEntry.type = 'shot';
-            statEntry.result = outcome.startsWith('make') ? 'make' : 'miss';
-            if (outcome.includes('3')) statEntry.points = 3;
-            else if (outcome.includes('2')) statEntry.points = 2;
-            else if (outcome.includes('1')) statEntry.points = 1;
-            else statEntry.points = 0;
-            statEntry.shotType = shotType || 'shot';
-            this.handleShotAction(statEntry, this.currentGame.stats[player.id], this.selectedCourtTeam);
+    updateActionEditorLocation() {
+        const label = document.getElementById('editActionLocation'); if (!label || !this.editingAction) return;
+        const { event, location } = this.editingAction;
+        if (location) label.textContent = `Moved to ${location.zone} (${location.distance} ft)`;
+        else if (event.location) label.textContent = event.distance !== undefined ? `${event.distance} ft from the basket` : 'Recorded on court';
+    }
+
+    moveActionOnCourt() {
+        if (!this.editingAction || !this.courtInterface) return;
+        const modal = document.getElementById('actionEditorModal'); if (modal) modal.classList.add('hidden');
+        this.switchTab('court');
+        this.showAlert('Move Action', 'Click the new location on the court.', 'info');
+        const { team, period } = this.editingAction.event;
+        this.courtInterface.pickLocation(location => {
+            if (!this.editingAction) return;
+            const zone = this.courtInterface.zoneDetector.detectZone(location.svgX, location.svgY);
+            this.editingAction.location = { location, courtType: this.courtInterface.courtType, distance: this.courtInterface.calculateDistance(location.svgX, location.svgY), zone: zone.details };
+            this.updateActionEditorLocation();
+            const bucketSelect = document.getElementById('editActionBucket');
+            if (this.editingAction.event.type !== 'shot' || bucketSelect.value === 'ft') { if (modal) modal.classList.remove('hidden'); return; }
+            // A moved field goal takes the value of its new spot; the scorer can still override it before saving.
+            this.resolveShotBucket(location).then(bucket => {
+                if (bucket) bucketSelect.value = bucket;
+                if (modal) modal.classList.remove('hidden');
+            });
+        }, team, period);
+    }
+
+    /** Diffs the editor form against the effective event and records the difference as a correction. */
+    saveActionCorrection() {
+        if (!this.editingAction) return;
+        const { event, location } = this.editingAction;
+        const changes = {};
+        const playerId = document.getElementById('editActionPlayer').value;
+        if (playerId && playerId !== event.playerId) {
+            const player = this.getPlayerById(playerId);
+            if (player) Object.assign(changes, { playerId: player.id, playerNumber: player.number, playerName: player.name, team: this.getPlayerTeam(player.id) });
+        }
+        if (event.type === 'shot') {
+            const result = document.getElementById('editActionResult').value;
+            const bucket = document.getElementById('editActionBucket').value;
+            const shotType = document.getElementById('editActionShotType').value || null;
+            if (result !== event.result) changes.result = result;
+            if (bucket !== event.bucket) Object.assign(changes, { bucket, points: this.engine.pointsForBucket(bucket, this.currentGame) });
+            if (shotType !== (event.shotType || null)) changes.shotType = shotType;
+            if (event.action && (changes.result || changes.points || 'shotType' in changes)) changes.action = `${result}${changes.points || event.points}${shotType ? `-${shotType}` : ''}`;
+        } else if (event.type === 'foul') {
+            const foulType = document.getElementById('editActionFoulType').value;
+            if (foulType !== (event.foulType || 'personal')) changes.foulType = foulType;
         } else {
-            statEntry.type = action;
-            this.handleStatAction(action, this.currentGame.stats[player.id], player);
+            const stat = document.getElementById('editActionStat').value;
+            if (stat !== event.stat) { changes.stat = stat; if (event.action) changes.action = stat; }
         }
+        if (location) Object.assign(changes, { location: location.location, courtType: location.courtType, distance: location.distance });
+        if (!Object.keys(changes).length) { this.hideActionEditor(); return; }
+        const before = this.engine.describeEvent(event, this.currentGame);
+        const after = this.engine.describeEvent({ ...event, ...changes }, this.currentGame);
+        const note = before === after ? `${before} (moved on court)` : `${before} → ${after}`;
+        this.hideActionEditor();
+        this.recordEvent(this.engine.createEvent('correction', { targetId: event.id, changes, period: this.currentGame.gameState.period, gameClock: this.formatTime(this.currentGame.gameState.gameTime) }), `Corrected: ${note}`);
+        this.showAlert('Action Corrected', note, 'success');
+    }
 
-        this.currentGame.shots.push(statEntry);
-        this.addToUndoStack(statEntry);
+    deleteAction() {
+        if (!this.editingAction) return;
+        const { event } = this.editingAction;
+        const description = this.engine.describeEvent(event, this.currentGame);
+        const remove = () => {
+            this.hideActionEditor();
+            this.recordEvent(this.engine.createEvent('void', { targetId: event.id, period: this.currentGame.gameState.period, gameClock: this.formatTime(this.currentGame.gameState.gameTime) }), `Deleted: ${description}`);
+        };
+        if (typeof Swal !== 'undefined') {
+            Swal.fire({ title: 'Delete Action?', text: `${description} will be removed and every total recalculated.`, icon: 'warning', showCancelButton: true, confirmButtonText: 'Delete' }).then(result => { if (result.isConfirmed) remove(); });
+        } else if (confirm(`Delete "${description}"?`)) {
+            remove();
+        }
+    }
 
-        this.updateAllDisplays();
-        this.updateAnalytics();
-        this.updateActionsCount();
-        this.saveGame();
+    // --- LINEUPS ---
+    setupLineupEvents() {
+        const tab = document.getElementById('lineupsTab');
+        if (tab) tab.addEventListener('click', (e) => { const button = e.target.closest('.lineup-player'); if (button) this.handleLineupClick(button.dataset.team, button.dataset.playerId); });
+    }
 
-        this.courtInterface.updateActionDisplay(this.getAllActionsForTeam(this.selectedCourtTeam));
+    getLineupSize() { return this.currentGame && this.currentGame.settings.lineupSize ? this.currentGame.settings.lineupSize : 5; }
+
+    getOnCourt(team) { return this.currentGame && this.currentGame.gameState.onCourt ? this.currentGame.gameState.onCourt[team] || [] : []; }
+
+    /** Tap an on-court player to mark them coming off, then a bench player to bring on; open spots fill straight from the bench. */
+    handleLineupClick(team, playerId) {
+        if (!this.isAdmin || !this.currentGame) return;
+        const onCourt = this.getOnCourt(team);
+        if (onCourt.includes(playerId)) {
+            this.pendingSubOut[team] = this.pendingSubOut[team] === playerId ? null : playerId;
+            this.updateLineupsPanel();
+            return;
+        }
+        const dq = this.getDisqualification(playerId);
+        if (dq) { this.showAlert('Not Eligible', `This player ${dq.reason === 'ejected' ? 'was ejected' : 'fouled out'} and cannot return.`, 'warning'); return; }
+        const outId = this.pendingSubOut[team];
+        if (!outId && onCourt.length >= this.getLineupSize()) { this.showAlert('Lineup Full', 'Select the player coming off the court first.', 'info'); return; }
+        this.substitute(team, playerId, outId);
+    }
+
+    substitute(team, inPlayerId, outPlayerId = null) {
+        const player = this.getPlayerById(inPlayerId); if (!player) return;
+        const fields = { elapsed: this.currentGame.gameState.clockElapsed || 0 };
+        const outPlayer = outPlayerId ? this.getPlayerById(outPlayerId) : null;
+        if (outPlayer) Object.assign(fields, { outPlayerId: outPlayer.id, outPlayerNumber: outPlayer.number, outPlayerName: outPlayer.name });
+        this.pendingSubOut[team] = null;
+        this.recordEvent(this.createPlayerEvent('sub', player, team, fields));
+    }
+
+    updateLineupsPanel() {
+        if (!this.currentGame) return;
+        ['home', 'away'].forEach(team => {
+            const container = document.getElementById(`${team}Lineup`); if (!container) return;
+            const onCourt = this.getOnCourt(team);
+            const players = [...this.currentGame.teams[team].players].sort((a, b) => a.number - b.number);
+            // Names are set as text, since rosters can come from imported files.
+            const el = (tag, className, text) => { const node = document.createElement(tag); if (className) node.className = className; if (text !== undefined) node.textContent = text; return node; };
+            const chip = (player) => {
+                const stats = this.currentGame.stats[player.id] || {};
+                const dq = this.getDisqualification(player.id);
+                const classes = ['lineup-player', onCourt.includes(player.id) ? 'on-court' : '', this.pendingSubOut[team] === player.id ? 'pending-out' : '', dq ? 'disqualified' : ''].filter(Boolean).join(' ');
+                const fouls = dq ? (dq.reason === 'ejected' ? 'EJECTED' : 'FOULED OUT') : `${stats.fouls || 0} PF`;
+                const button = el('button', classes); button.dataset.team = team; button.dataset.playerId = player.id;
+                button.append(el('span', 'player-number-badge', player.number), el('span', 'lineup-player-name', player.name), el('span', 'lineup-player-meta', `${this.exporter.formatMinutes(stats.secondsPlayed)} · ${this.exporter.formatPlusMinus(stats.plusMinus)} · ${fouls}`));
+                return button;
+            };
+            const section = (title, chips, hint) => { const list = el('div', 'lineup-players'); if (chips.length) list.append(...chips); else if (hint) list.appendChild(el('span', 'form-hint', hint)); return [el('div', 'lineup-section-title', title), list]; };
+            const starters = onCourt.map(id => players.find(p => p.id === id)).filter(Boolean);
+            const bench = players.filter(p => !onCourt.includes(p.id));
+            const heading = el('h4', null, `${this.currentGame.teams[team].name} `); heading.appendChild(el('span', 'lineup-count', `${starters.length}/${this.getLineupSize()} on court`));
+            container.innerHTML = '';
+            container.append(heading, ...section('On Court', starters.map(chip), 'Tap bench players to set the lineup'), ...section('Bench', bench.map(chip)));
+        });
     }
 
+    isPageActive(pageName) { const page = document.getElementById(`${pageName}Page`); return !!page && page.classList.contains('active'); }
+    isTabActive(tabName) { const tab = document.getElementById(`${tabName}Tab`); return !!tab && tab.classList.contains('active'); }
+
     // --- MODIFIED/REFACTORED METHODS ---
     setupEnhancedCourtEvents() {
         const courtPlayerSelect = document.getElementById('courtPlayerSelect');
@@ -520,13 +2729,14 @@ class BasketballGameManagerPro {
             });
         }
         
-        const undoShotBtn = document.getElementById('undoShotBtn');
-        if (undoShotBtn) {
-            undoShotBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.undoLastAction();
-            });
-        }
+        ['undoShotBtn', 'undoQuickStatBtn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', (e) => { e.preventDefault(); this.undoLastAction(); });
+        });
+        ['redoShotBtn', 'redoQuickStatBtn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', (e) => { e.preventDefault(); this.redoLastAction(); });
+        });
     }
 
     selectCourtTeam(team) {
@@ -535,41 +2745,15 @@ class BasketballGameManagerPro {
             tab.classList.toggle('active', tab.dataset.team === team);
         });
         this.updateCourtPlayerDropdown();
-        if (this.courtInterface) {
-            this.courtInterface.updateActionDisplay(this.getAllActionsForTeam(team));
-        }
-    }
-
-    undoLastAction() {
-        if (!this.isAdmin || this.undoStack.length === 0) return;
-        
-        const undoData = this.undoStack.pop();
-        const { action, gameStateBefore, statsBefore, analyticsBefore } = undoData;
-        
-        this.currentGame.gameState = gameStateBefore;
-        this.currentGame.stats = statsBefore;
-        this.currentGame.analytics = analyticsBefore;
-        
-        this.currentGame.shots = this.currentGame.shots.filter(shot => shot.id !== action.id);
-        
-        this.addPlayByPlayEvent(`Undone: ${action.type} by #${action.playerNumber} ${action.playerName}`);
-        
-        this.updateAllDisplays();
-        this.updateAnalytics();
-        this.updateActionsCount();
-        this.saveGame();
-        
-        this.courtInterface.updateActionDisplay(this.getAllActionsForTeam(this.selectedCourtTeam));
-        
-        this.showAlert('Action Undone', '', 'success');
+        if (this.shotChartFilter.team === 'court') this.shotChartFilter.players = [];
+        this.updateChartFilterOptions();
+        this.refreshShotChart();
     }
 
     loadExistingActions() {
         if (!this.currentGame || !this.currentGame.shots) return;
-        if (this.courtInterface) {
-            this.courtInterface.updateActionDisplay(this.getAllActionsForTeam(this.selectedCourtTeam));
-        }
-        this.updateActionsCount();
+        this.updateChartFilterOptions();
+        this.refreshShotChart();
     }
     
     // --- HELPER METHODS ---
@@ -581,9 +2765,16 @@ class BasketballGameManagerPro {
     
     updateActionsCount() {
         const count = this.currentGame && this.currentGame.shots ? this.currentGame.shots.length : 0;
+        const shown = this.getFilteredActions();
         const countEl = document.getElementById('shotsCount');
         if (countEl) {
-            countEl.textContent = `Actions: ${count}`;
+            countEl.textContent = this.isChartFiltered() ? `Actions: ${shown.length} of ${count}` : `Actions: ${count}`;
+        }
+        const summaryEl = document.getElementById('chartFilterSummary');
+        if (summaryEl) {
+            const shots = shown.filter(action => action.type === 'shot' && action.bucket !== 'ft');
+            const made = shots.filter(action => action.result === 'make').length;
+            summaryEl.textContent = shots.length ? `FG ${made}/${shots.length} (${Math.round(made / shots.length * 100)}%)` : 'FG 0/0';
         }
     }
 
@@ -591,6 +2782,334 @@ class BasketballGameManagerPro {
         if (!this.currentGame || !this.currentGame.shots) return [];
         return this.currentGame.shots.filter(action => action.team === teamId);
     }
+
+    // --- COURT DIRECTION ---
+    /**
+     * The basket a team attacks on the full court. Home attacks `settings.homeBasket` in the first half,
+     * the teams swap ends at halftime and overtime keeps the second-half ends. A single-period game never swaps.
+     */
+    getAttackingEnd(team = null, period = null) {
+        if (!this.currentGame) return 'top';
+        const flip = (end) => end === 'top' ? 'bottom' : 'top';
+        const regulation = this.engine.getRegulationPeriods(this.currentGame);
+        const secondHalf = regulation >= 2 && (period || this.currentGame.gameState.period || 1) > regulation / 2;
+        const homeEnd = this.currentGame.settings.homeBasket === 'bottom' ? 'bottom' : 'top';
+        const end = secondHalf ? flip(homeEnd) : homeEnd;
+        return (team || this.selectedCourtTeam) === 'home' ? end : flip(end);
+    }
+
+    getEndLabels() {
+        if (!this.currentGame) return null;
+        const { teams } = this.currentGame;
+        return this.getAttackingEnd('home') === 'top' ? { top: teams.home.name, bottom: teams.away.name } : { top: teams.away.name, bottom: teams.home.name };
+    }
+
+    // --- CUSTOM COURTS ---
+    getSavedCourts() {
+        try { return JSON.parse(localStorage.getItem('bgm_custom_courts')) || {}; } catch (e) { return {}; }
+    }
+
+    /** Saves a court from the editor for later games and returns its court type id; a court saved under an existing name replaces it. */
+    saveCustomCourt(spec) {
+        const id = CourtStandards.customId(spec.name);
+        CourtStandards.register(id, spec);
+        try { localStorage.setItem('bgm_custom_courts', JSON.stringify({ ...this.getSavedCourts(), [id]: spec })); } catch (e) { console.error('Error saving custom court:', e); }
+        return id;
+    }
+
+    /** Forgets a saved court. Games carry a copy of the custom courts they use, so they still draw it. */
+    deleteCustomCourt(id) {
+        const saved = this.getSavedCourts(); delete saved[id];
+        try { localStorage.setItem('bgm_custom_courts', JSON.stringify(saved)); } catch (e) { console.error('Error deleting custom court:', e); }
+        const inUse = this.currentGame && this.currentGame.settings.customCourts && this.currentGame.settings.customCourts[id];
+        if (!inUse) CourtStandards.unregister(id);
+        this.showAlert('Court Removed', inUse ? 'The court was removed from your saved courts. This game keeps using it.' : 'The court was removed from your saved courts.', 'success');
+    }
+
+    // --- TEAM LIBRARY ---
+    // Saved teams live in localStorage under bgm_team_library, keyed by id: { id, name, color, logoId, players }.
+    // A game copies the players and logo id it uses, so editing the library never changes a saved game.
+    getTeamLibrary() {
+        try { return JSON.parse(localStorage.getItem('bgm_team_library')) || {}; } catch (e) { return {}; }
+    }
+
+    storeTeamLibrary(library) {
+        try { localStorage.setItem('bgm_team_library', JSON.stringify(library)); return true; } catch (e) { console.error('Error saving team library:', e); this.showAlert('Library Full', 'Not enough browser storage to save this team. Try a smaller logo.', 'error'); return false; }
+    }
+
+    // --- TEAM LOGOS ---
+    // Logos are keyed by a hash of their content, so an id always means the same image: changing a team's
+    // logo stores a new one, and games that used the old id keep showing it.
+    getLogoStore() {
+        if (!this.logoStore) { try { this.logoStore = JSON.parse(localStorage.getItem('bgm_team_logos')) || {}; } catch (e) { this.logoStore = {}; } }
+        return this.logoStore;
+    }
+
+    /** Stores a logo data URL and returns its id, or null when storage is full. */
+    storeLogo(dataUrl) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < dataUrl.length; i++) { hash ^= dataUrl.charCodeAt(i); hash = Math.imul(hash, 0x01000193) >>> 0; }
+        const id = `logo-${hash.toString(36)}-${dataUrl.length.toString(36)}`;
+        const store = this.getLogoStore();
+        if (store[id]) return id;
+        try { localStorage.setItem('bgm_team_logos', JSON.stringify({ ...store, [id]: dataUrl })); } catch (e) { console.error('Error saving logo:', e); this.showAlert('Logo Not Saved', 'Not enough browser storage for this logo. Try a smaller image, or delete old games.', 'error'); return null; }
+        store[id] = dataUrl;
+        return id;
+    }
+
+    /** Drops logos that no saved game or library team refers to any more. */
+    pruneLogos() {
+        const store = this.getLogoStore();
+        const used = new Set();
+        const collect = (team) => { if (team && team.logoId) used.add(team.logoId); };
+        this.getStoredGames().forEach(game => { collect(game.teams.home); collect(game.teams.away); });
+        Object.values(this.getTeamLibrary()).forEach(collect);
+        if (this.currentGame) { collect(this.currentGame.teams.home); collect(this.currentGame.teams.away); }
+        const unused = Object.keys(store).filter(id => !used.has(id));
+        if (!unused.length) return;
+        unused.forEach(id => { delete store[id]; });
+        try { localStorage.setItem('bgm_team_logos', JSON.stringify(store)); } catch (e) { console.error('Error saving logos:', e); }
+    }
+
+    /** A team's logo. Viewers on another device get logos from the controller, since this device's store won't have them. */
+    getTeamLogo(team) {
+        if (!team.logoId) return team.logo || null;
+        return (this.remoteLogos && this.remoteLogos[team.logoId]) || this.getLogoStore()[team.logoId] || team.logo || null;
+    }
+
+    /** The logos the current game shows, keyed by id, for viewers that can't read this device's store. */
+    getGameLogos() {
+        const logos = {};
+        Object.values(this.currentGame.teams).forEach(team => { const logo = team.logoId && this.getTeamLogo(team); if (logo) logos[team.logoId] = logo; });
+        return logos;
+    }
+
+    /** A copy of `game` with its logos written into its teams, so an exported file is complete on its own. */
+    withTeamLogos(game) {
+        if (!game) return game;
+        const teams = {};
+        Object.entries(game.teams).forEach(([side, team]) => { const logo = this.getTeamLogo(team); teams[side] = logo ? { ...team, logo } : team; });
+        return { ...game, teams };
+    }
+
+    libraryTeamId(name) { return `team-${name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'unnamed'}`; }
+
+    /**
+     * Merges `incoming` players into `roster` by jersey number. A number held by a different player
+     * is a conflict: `replace` lets the incoming player take it, otherwise the incoming one is dropped.
+     */
+    mergeRoster(roster, incoming, replace) {
+        const players = roster.map(p => ({ ...p })); const conflicts = [];
+        incoming.forEach(player => {
+            const index = players.findIndex(p => p.number === player.number);
+            if (index < 0) { players.push({ ...player }); return; }
+            const current = players[index];
+            if (current.name.toLowerCase() !== player.name.toLowerCase()) conflicts.push(replace ? `#${player.number} ${player.name} replaces ${current.name}` : `#${player.number} ${player.name} skipped, ${current.name} wears it`);
+            if (replace || current.name.toLowerCase() === player.name.toLowerCase()) players[index] = { ...current, ...player };
+        });
+        return { players: players.sort((a, b) => a.number - b.number), conflicts };
+    }
+
+    /** Saves a game team to the library. The game's players win any jersey clash; library players sitting this game out are kept. */
+    saveTeamToLibrary(side) {
+        const team = this.currentGame.teams[side];
+        const library = this.getTeamLibrary();
+        const id = team.libraryId && library[team.libraryId] ? team.libraryId : this.libraryTeamId(team.name);
+        const existing = library[id] || { players: [] };
+        const { players, conflicts } = this.mergeRoster(existing.players, team.players.map(({ name, number, position }) => ({ name, number, position })), true);
+        library[id] = { id, name: team.name, color: team.color, logoId: team.logoId || existing.logoId || null, players, updated: new Date().toISOString() };
+        if (!this.storeTeamLibrary(library)) return;
+        team.libraryId = id; this.saveGame();
+        this.renderTeamLibraryOptions(); this.updateLibraryBench(side);
+        this.showAlert('Team Saved', conflicts.length ? `${team.name} was saved. Jersey clashes: ${conflicts.join('; ')}.` : `${team.name} was saved to your team library with ${players.length} players.`, conflicts.length ? 'warning' : 'success');
+    }
+
+    confirmDeleteLibraryTeam(id) {
+        if (typeof Swal !== 'undefined') { Swal.fire({ title: 'Remove Team?', text: 'Remove this team and its roster from your library?', icon: 'question', showCancelButton: true, confirmButtonText: 'Yes, remove', cancelButtonText: 'Cancel' }).then((result) => { if (result.isConfirmed) this.deleteLibraryTeam(id); }); }
+        else { if (confirm('Remove this team and its roster from your library?')) this.deleteLibraryTeam(id); }
+    }
+
+    deleteLibraryTeam(id) {
+        const library = this.getTeamLibrary(); const team = library[id]; if (!team) return;
+        delete library[id]; this.storeTeamLibrary(library); this.pruneLogos(); this.renderTeamLibraryOptions();
+        this.showAlert('Team Removed', `${team.name} was removed from your team library. Games already using it keep their roster and logo.`, 'success');
+    }
+
+    /** Loading a saved team replaces the game's roster, so a roster that already has players is confirmed first. */
+    confirmLoadLibraryTeam(side, id) {
+        const saved = this.getTeamLibrary()[id]; if (!saved || !this.currentGame) return;
+        const team = this.currentGame.teams[side];
+        if (!team.players.length) { this.loadLibraryTeam(side, id); return; }
+        const text = `Replace the ${team.players.length} players on ${team.name} with the saved ${saved.name} roster? Their stats in this game will be lost.`;
+        if (typeof Swal !== 'undefined') { Swal.fire({ title: 'Replace Roster?', text, icon: 'question', showCancelButton: true, confirmButtonText: 'Yes, replace', cancelButtonText: 'Cancel' }).then((result) => { if (result.isConfirmed) this.loadLibraryTeam(side, id); }); }
+        else { if (confirm(text)) this.loadLibraryTeam(side, id); }
+    }
+
+    /** Fills a team's config fields from the library and makes the whole saved roster active for this game. */
+    loadLibraryTeam(side, id) {
+        const saved = this.getTeamLibrary()[id]; if (!saved || !this.currentGame) return;
+        const team = this.currentGame.teams[side];
+        team.players.forEach(player => { delete this.currentGame.stats[player.id]; });
+        Object.assign(team, { name: saved.name, color: saved.color, logoId: saved.logoId || null, libraryId: id, players: saved.players.map(player => ({ ...player, id: `${side}_${player.number}` })) });
+        delete team.logo;
+        team.players.forEach(player => { this.currentGame.stats[player.id] = this.engine.emptyPlayerStats(); });
+        document.getElementById(`${side}TeamName`).value = saved.name;
+        const colorSelect = document.getElementById(`${side}TeamColor`); if (colorSelect && saved.color) colorSelect.value = saved.color;
+        this.updateLogoPreview(side); this.updatePlayersList(side); this.updateLibraryBench(side); this.updateStartGameButton(); this.renderTeamLibraryOptions(); this.saveGame(); this.publishLogos();
+    }
+
+    renderTeamLibraryOptions() {
+        const teams = Object.values(this.getTeamLibrary()).sort((a, b) => a.name.localeCompare(b.name));
+        ['home', 'away'].forEach(side => {
+            const select = document.getElementById(`${side}TeamLibrary`); if (!select) return;
+            const current = this.currentGame && this.currentGame.teams[side].libraryId;
+            select.innerHTML = ''; select.add(new Option('New team', ''));
+            teams.forEach(team => select.add(new Option(`${team.name} (${team.players.length})`, team.id)));
+            select.value = teams.some(team => team.id === current) ? current : '';
+            const forget = document.getElementById(`${side}ForgetTeamBtn`); if (forget) forget.disabled = !select.value;
+        });
+    }
+
+    /** Lists library players who aren't on this game's roster so the scorer can activate them. */
+    updateLibraryBench(side) {
+        const bench = document.getElementById(`${side}LibraryBench`); if (!bench || !this.currentGame) return;
+        const team = this.currentGame.teams[side];
+        const saved = team.libraryId && this.getTeamLibrary()[team.libraryId];
+        const inactive = saved ? saved.players.filter(player => !team.players.some(p => p.number === player.number)) : [];
+        bench.classList.toggle('hidden', !inactive.length);
+        bench.innerHTML = '';
+        if (!inactive.length) return;
+        const title = document.createElement('div'); title.className = 'library-bench-title'; title.textContent = 'Not playing this game';
+        bench.appendChild(title);
+        inactive.forEach(player => bench.appendChild(this.createPlayerItem(player, 'Add', () => this.activateLibraryPlayer(side, player.number))));
+    }
+
+    activateLibraryPlayer(side, number) {
+        const team = this.currentGame.teams[side];
+        const saved = team.libraryId && this.getTeamLibrary()[team.libraryId];
+        const player = saved && saved.players.find(p => p.number === number);
+        if (!player || team.players.some(p => p.number === number)) return;
+        const added = { ...player, id: `${side}_${number}` };
+        team.players.push(added); this.currentGame.stats[added.id] = this.engine.emptyPlayerStats();
+        this.updatePlayersList(side); this.updateLibraryBench(side); this.updateStartGameButton(); this.saveGame();
+    }
+
+    /** Adds a CSV roster to a game team. Numbers already on the roster keep their player; the rest are reported. */
+    importRosterCsv(side, file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            let parsed;
+            try { parsed = this.exporter.parseRosterCsv(reader.result, this.currentGame.teams[side].name); } catch (e) { this.showAlert('Import Failed', e.message, 'error'); return; }
+            const team = this.currentGame.teams[side];
+            const { players, conflicts } = this.mergeRoster(team.players, parsed.players, false);
+            // Players already on the roster under the same number and name are updated rather than added.
+            const added = players.length - team.players.length; const updated = parsed.players.length - added - conflicts.length;
+            team.players = players.map(player => ({ ...player, id: player.id || `${side}_${player.number}` }));
+            team.players.forEach(player => { if (!this.currentGame.stats[player.id]) this.currentGame.stats[player.id] = this.engine.emptyPlayerStats(); });
+            this.updatePlayersList(side); this.updateLibraryBench(side); this.updateStartGameButton(); this.saveGame();
+            const problems = [...parsed.skipped, ...conflicts];
+            this.showAlert('Roster Imported', `${added} player${added === 1 ? '' : 's'} added${updated ? `, ${updated} updated` : ''}.${problems.length ? ` Skipped: ${problems.join('; ')}.` : ''}`, problems.length ? 'warning' : 'success');
+        };
+        reader.onerror = () => this.showAlert('Import Failed', 'The file could not be read.', 'error');
+        reader.readAsText(file);
+    }
+
+    /** Logos are kept small enough for localStorage. A library team takes the new logo too; games already played keep theirs. */
+    setTeamLogo(side, file) {
+        if (!file) return;
+        if (file.size > MAX_LOGO_BYTES) { this.showAlert('Logo Too Large', `Please choose an image under ${Math.round(MAX_LOGO_BYTES / 1024)} KB.`, 'warning'); return; }
+        const reader = new FileReader();
+        reader.onload = () => {
+            const logoId = this.storeLogo(reader.result); if (!logoId) return;
+            const team = this.currentGame.teams[side]; const library = this.getTeamLibrary();
+            team.logoId = logoId; delete team.logo;
+            if (team.libraryId && library[team.libraryId]) { library[team.libraryId].logoId = logoId; this.storeTeamLibrary(library); }
+            this.updateLogoPreview(side); this.updateTeamDisplays(); this.saveGame(); this.publishLogos(); this.pruneLogos();
+        };
+        reader.onerror = () => this.showAlert('Logo Failed', 'The image could not be read.', 'error');
+        reader.readAsDataURL(file);
+    }
+
+    updateLogoPreview(side) {
+        const preview = document.getElementById(`${side}TeamLogoPreview`); if (!preview || !this.currentGame) return;
+        const logo = this.getTeamLogo(this.currentGame.teams[side]);
+        preview.classList.toggle('hidden', !logo); if (logo) preview.src = logo; else preview.removeAttribute('src');
+    }
+
+    // --- SHOT CHART FILTER ---
+    getDefaultChartFilter() { return { team: 'court', players: [], periodFrom: null, periodTo: null, result: 'all', actionType: 'all', zone: 'all' }; }
+
+    isChartFiltered() {
+        const filter = this.shotChartFilter; const defaults = this.getDefaultChartFilter();
+        return filter.team !== defaults.team || filter.players.length > 0 || filter.periodFrom !== null || filter.periodTo !== null || filter.result !== 'all' || filter.actionType !== 'all' || filter.zone !== 'all';
+    }
+
+    /** Court actions that pass every part of the filter bar; the markers, heatmap and counters all draw from this. */
+    getFilteredActions() {
+        if (!this.currentGame || !this.currentGame.shots) return [];
+        const filter = this.shotChartFilter;
+        const team = filter.team === 'court' ? this.selectedCourtTeam : filter.team;
+        const actionTypes = { shot: a => a.type === 'shot', rebound: a => a.stat === 'rebound', assist: a => a.stat === 'assist', foul: a => a.type === 'foul' };
+        return this.currentGame.shots.filter(action => {
+            if (team !== 'both' && action.team !== team) return false;
+            if (filter.players.length && !filter.players.includes(action.playerId)) return false;
+            const period = action.period || 1;
+            if ((filter.periodFrom !== null && period < filter.periodFrom) || (filter.periodTo !== null && period > filter.periodTo)) return false;
+            if (filter.result !== 'all' && action.result !== filter.result) return false;
+            if (filter.actionType !== 'all' && !actionTypes[filter.actionType](action)) return false;
+            return filter.zone === 'all' || this.gameAnalytics.getLocationZone(action) === filter.zone;
+        });
+    }
+
+    refreshShotChart() {
+        if (this.courtInterface) this.courtInterface.updateActionDisplay(this.getFilteredActions());
+        this.updateActionsCount();
+    }
+
+    setupChartFilterEvents() {
+        const bar = document.getElementById('chartFilterBar'); if (!bar) return;
+        bar.addEventListener('change', (e) => {
+            const field = e.target.dataset.filter; if (!field) return;
+            if (field === 'players') this.shotChartFilter.players = [...e.target.selectedOptions].map(option => option.value);
+            else if (field === 'periodFrom' || field === 'periodTo') this.shotChartFilter[field] = e.target.value ? Number(e.target.value) : null;
+            else this.shotChartFilter[field] = e.target.value;
+            if (field === 'team') { this.shotChartFilter.players = []; this.updateChartFilterOptions(); }
+            this.refreshShotChart();
+        });
+        const resetBtn = document.getElementById('resetChartFilterBtn');
+        if (resetBtn) resetBtn.addEventListener('click', (e) => { e.preventDefault(); this.shotChartFilter = this.getDefaultChartFilter(); this.updateChartFilterOptions(); this.refreshShotChart(); });
+    }
+
+    /** Rebuilds the option lists that depend on the game (team names, rosters, periods played) and re-selects the current filter. Names are added as option text, never markup. */
+    updateChartFilterOptions() {
+        if (!this.currentGame) return;
+        const filter = this.shotChartFilter; const { teams } = this.currentGame;
+        const teamSelect = document.getElementById('filterTeam');
+        if (teamSelect) {
+            teamSelect.innerHTML = '';
+            [new Option('Selected team', 'court'), new Option(teams.home.name, 'home'), new Option(teams.away.name, 'away'), new Option('Both teams', 'both')].forEach(option => teamSelect.add(option));
+            teamSelect.value = filter.team;
+        }
+        const playerSelect = document.getElementById('filterPlayers');
+        if (playerSelect) {
+            const team = filter.team === 'court' ? this.selectedCourtTeam : filter.team;
+            const scope = team === 'both' ? ['home', 'away'] : [team];
+            playerSelect.innerHTML = '';
+            scope.forEach(t => playerSelect.appendChild(this.createOptionGroup(teams[t].name, teams[t].players.map(p => new Option(`#${p.number} ${p.name}`, p.id, false, filter.players.includes(p.id))))));
+        }
+        const periods = Math.max(this.currentGame.gameState.period || 1, this.engine.getRegulationPeriods(this.currentGame));
+        ['filterPeriodFrom', 'filterPeriodTo'].forEach(id => {
+            const select = document.getElementById(id); if (!select) return;
+            const value = id === 'filterPeriodFrom' ? filter.periodFrom : filter.periodTo;
+            select.innerHTML = `<option value="">${id === 'filterPeriodFrom' ? 'First' : 'Last'}</option>` + Array.from({ length: periods }, (_, i) => `<option value="${i + 1}">${this.exporter.getPeriodLabel(this.currentGame, i + 1)}</option>`).join('');
+            select.value = value === null ? '' : String(value);
+        });
+        [['filterResult', 'result'], ['filterActionType', 'actionType']].forEach(([id, field]) => { const select = document.getElementById(id); if (select) select.value = filter[field]; });
+        const zoneSelect = document.getElementById('filterZone');
+        if (zoneSelect && zoneSelect.options.length <= 1) zoneSelect.insertAdjacentHTML('beforeend', Object.entries(SHOT_ZONES).map(([key, label]) => `<option value="${key}">${label}</option>`).join(''));
+        if (zoneSelect) zoneSelect.value = filter.zone;
+    }
     
     // --- PAGE NAVIGATION (MODIFIED) ---
     switchPage(pageName) {
@@ -618,11 +3137,30 @@ class BasketballGameManagerPro {
         
         // **FIX**: Initialize court interface only when switching to the controller page
         if (pageName === 'controller' && !this.courtInterface) {
-            this.courtInterface = new ProfessionalCourtInterface('fiba', (actionData) => {
+            const courtType = this.currentGame && this.currentGame.settings.courtType ? this.currentGame.settings.courtType : 'fiba';
+            this.courtInterface = new ProfessionalCourtInterface(courtType, (actionData) => {
                 this.handleNewCourtAction(actionData);
+            }, (type) => {
+                if (!this.currentGame || !this.isAdmin) return;
+                this.currentGame.settings.courtType = type;
+                if (CourtStandards.isCustom(type)) this.currentGame.settings.customCourts = { ...this.currentGame.settings.customCourts, [type]: CourtStandards.get(type).spec };
+                this.saveGame();
             });
+            this.courtInterface.onMarkerSelect = (action) => this.openActionEditor(action.id);
+            this.courtInterface.onCustomCourtSave = (spec) => this.saveCustomCourt(spec);
+            this.courtInterface.onCustomCourtDelete = (id) => this.deleteCustomCourt(id);
+            this.courtInterface.getAttackingEnd = (team, period) => this.getAttackingEnd(team, period);
+            this.courtInterface.getEndLabels = () => this.getEndLabels();
+            this.courtInterface.onDirectionChange = (end) => {
+                if (!this.currentGame || !this.isAdmin) return;
+                this.currentGame.settings.homeBasket = end;
+                this.saveGame();
+            };
+            this.courtInterface.setDirectionButtons(this.currentGame && this.currentGame.settings.homeBasket === 'bottom' ? 'bottom' : 'top');
         }
         
+        if (pageName === 'config') { this.renderTeamLibraryOptions(); ['home', 'away'].forEach(side => this.updateLogoPreview(side)); }
+        if (pageName === 'playerSetup') ['home', 'away'].forEach(side => { this.updatePlayersList(side); this.updateLibraryBench(side); });
         if (pageName === 'controller') {
             setTimeout(() => {
                 this.loadExistingActions();
@@ -662,22 +3200,10 @@ class BasketballGameManagerPro {
     }
     adjustTeamStat(team, stat, adjustment) {
         if (!this.isAdmin || !this.currentGame) return;
+        if (stat === 'timeouts' && adjustment < 0) { this.callTimeout(team); return; }
         const currentValue = this.currentGame.gameState[stat][team];
         const newValue = Math.max(0, currentValue + adjustment);
         if (typeof Swal !== 'undefined') {
-            if (stat === 'fouls' && newValue > this.currentGame.settings.foulLimit && adjustment > 0) {
-                Swal.fire({
-                    title: 'Foul Limit Exceeded!',
-                    text: `${this.currentGame.teams[team].name} has reached the foul limit (${this.currentGame.settings.foulLimit}).`,
-                    icon: 'warning',
-                    confirmButtonText: 'Add Anyway',
-                    showCancelButton: true,
-                    cancelButtonText: 'Cancel'
-                }).then((result) => {
-                    if (result.isConfirmed) this.applyStatAdjustment(team, stat, newValue);
-                });
-                return;
-            }
             if (stat === 'timeouts' && newValue < 0) {
                 Swal.fire({ title: 'No Timeouts Remaining', text: `${this.currentGame.teams[team].name} has no timeouts left.`, icon: 'error', confirmButtonText: 'OK' });
                 return;
@@ -685,19 +3211,21 @@ class BasketballGameManagerPro {
         }
         this.applyStatAdjustment(team, stat, newValue);
     }
+    /** Charges a timeout: stops the clock, logs it at the game clock and starts the timeout countdown. Play is already stopped during a break, so none can be called then. */
+    callTimeout(team) {
+        const { gameState, settings, teams } = this.currentGame;
+        if (gameState.breakClock && !gameState.breakClock.team) { this.showAlert('Break in Progress', 'Timeouts can\'t be called until the break between periods is over.', 'warning'); return; }
+        this.engine.apply(this.currentGame);
+        if (gameState.timeouts[team] <= 0) { this.showAlert('No Timeouts Remaining', `${teams[team].name} has no timeouts left in this part of the game.`, 'error'); return; }
+        if (this.currentGame.status === 'live') this.pauseGame();
+        const duration = settings.timeoutDuration || 60;
+        this.recordEvent(this.engine.createEvent('timeout', { team, period: gameState.period, gameSeconds: gameState.gameTime, gameClock: this.formatTime(gameState.gameTime), duration }));
+        this.startCountdown(`${teams[team].name} timeout`, duration, TIMEOUT_WARNING_SECONDS, team);
+    }
     applyStatAdjustment(team, stat, newValue) {
-        const oldValue = this.currentGame.gameState[stat][team];
-        const action = {
-            id: Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-            type: 'teamStatAdjustment', team, stat, oldValue, newValue, timestamp: Date.now()
-        };
-        this.addToUndoStack(action);
-        this.currentGame.gameState[stat][team] = newValue;
-        const statName = stat === 'fouls' ? 'foul' : 'timeout';
-        const verb = newValue > oldValue ? 'added' : 'removed';
-        this.addPlayByPlayEvent(`${this.currentGame.teams[team].name} ${statName} ${verb} (${newValue})`);
-        this.updateAllDisplays();
-        this.saveGame();
+        const delta = newValue - this.currentGame.gameState[stat][team];
+        if (!delta) return;
+        this.recordEvent(this.engine.createEvent('teamStat', { team, stat, delta, period: this.currentGame.gameState.period, gameClock: this.formatTime(this.currentGame.gameState.gameTime) }));
     }
     setupTeamTabEvents() {
         document.querySelectorAll('#quickHomeTab, #quickAwayTab').forEach(tab => tab.addEventListener('click', (e) => { e.preventDefault(); this.selectQuickTeam(e.target.dataset.team); }));
@@ -708,6 +3236,9 @@ class BasketballGameManagerPro {
         if (exportBtn) exportBtn.addEventListener('click', (e) => { e.preventDefault(); this.showExportModal(); });
         const modal = document.getElementById('exportModal');
         if (modal) {
+            const gameSelect = document.getElementById('exportGameSelect');
+            if (gameSelect) gameSelect.addEventListener('change', () => this.updatePngExportOptions());
+            const pngTeamSelect = document.getElementById('pngTeam'); if (pngTeamSelect) pngTeamSelect.addEventListener('change', () => this.updatePngExportOptions());
             const closeBtn = modal.querySelector('.modal-close');
             const cancelBtn = document.getElementById('cancelExportBtn');
             const backdrop = modal.querySelector('.modal-backdrop');
@@ -719,25 +3250,155 @@ class BasketballGameManagerPro {
             if (confirmBtn) confirmBtn.addEventListener('click', () => this.confirmExport());
         }
     }
+    showExportModal() {
+        const modal = document.getElementById('exportModal'); if (!modal) return;
+        const games = this.getStoredGames().filter(game => game.code !== this.currentGameCode);
+        if (!this.currentGame && !games.length) { this.showAlert('No Games Found', 'Create, join or import a game before exporting.', 'warning'); return; }
+        const gameSelect = document.getElementById('exportGameSelect');
+        if (gameSelect) {
+            const options = this.currentGame ? [`<option value="">Current game - ${this.currentGame.name} (${this.currentGameCode})</option>`] : [];
+            games.forEach(game => options.push(`<option value="${game.code}">${game.name || 'Basketball Game'} (${game.code})</option>`));
+            gameSelect.innerHTML = options.join('');
+        }
+        this.selectedExportFormat = null;
+        modal.querySelectorAll('.export-option').forEach(option => option.classList.remove('selected'));
+        const confirmBtn = document.getElementById('confirmExportBtn'); if (confirmBtn) confirmBtn.disabled = true;
+        this.setExportProgress(null);
+        this.updatePngExportOptions();
+        modal.classList.remove('hidden');
+    }
+    hideExportModal() { const modal = document.getElementById('exportModal'); if (modal) modal.classList.add('hidden'); }
+    selectExportOption(option) {
+        document.querySelectorAll('#exportModal .export-option').forEach(o => o.classList.toggle('selected', o === option));
+        this.selectedExportFormat = option.dataset.format;
+        const confirmBtn = document.getElementById('confirmExportBtn'); if (confirmBtn) confirmBtn.disabled = false;
+        this.updatePngExportOptions();
+    }
+    updatePngExportOptions() {
+        const panel = document.getElementById('pngExportOptions'); if (!panel) return;
+        const game = this.selectedExportFormat === 'png' ? this.getExportGame() : null;
+        panel.classList.toggle('hidden', !game);
+        if (!game) return;
+        const teamSelect = document.getElementById('pngTeam'); const playerSelect = document.getElementById('pngPlayer'); const periodSelect = document.getElementById('pngPeriod');
+        const team = teamSelect.value && game.teams[teamSelect.value] ? teamSelect.value : '';
+        teamSelect.innerHTML = '';
+        [new Option('Both teams', ''), new Option(game.teams.home.name, 'home'), new Option(game.teams.away.name, 'away')].forEach(option => teamSelect.add(option));
+        teamSelect.value = team;
+        const players = (team ? game.teams[team].players : [...game.teams.home.players, ...game.teams.away.players]).slice().sort((a, b) => a.number - b.number);
+        const playerId = playerSelect.value;
+        playerSelect.innerHTML = '';
+        [new Option('All players', ''), ...players.map(p => new Option(`#${p.number} ${p.name}`, p.id))].forEach(option => playerSelect.add(option));
+        playerSelect.value = players.some(p => p.id === playerId) ? playerId : '';
+        const period = periodSelect.value;
+        const periods = Math.max(game.gameState.period, this.engine.getRegulationPeriods(game));
+        periodSelect.innerHTML = '<option value="">Full game</option>' + Array.from({ length: periods }, (_, i) => `<option value="${i + 1}">${this.exporter.getPeriodLabel(game, i + 1)}</option>`).join('');
+        periodSelect.value = period && Number(period) <= periods ? period : '';
+    }
+    setExportProgress(percent, text = '') {
+        const progress = document.getElementById('exportProgress'); if (!progress) return;
+        progress.classList.toggle('hidden', percent === null);
+        const fill = document.getElementById('progressFill'); if (fill) fill.style.width = `${percent || 0}%`;
+        const label = document.getElementById('progressText'); if (label) label.textContent = text || 'Preparing export...';
+    }
+    async confirmExport() {
+        const game = this.getExportGame(); const format = this.selectedExportFormat;
+        if (!game || !format) return;
+        const handlers = { json: () => this.exportGameJson(game), csv: () => this.exportPlayerCsv(game), pdf: () => this.exportGamePdf(game), png: () => this.exportShotChartPng(game), zip: () => this.exportGamePackage(game) };
+        if (!handlers[format]) { this.showAlert('Export Unavailable', 'This export format is not available yet.', 'info'); return; }
+        const confirmBtn = document.getElementById('confirmExportBtn'); if (confirmBtn) confirmBtn.disabled = true;
+        try {
+            this.setExportProgress(10, 'Preparing export...');
+            await handlers[format]();
+            this.setExportProgress(100, 'Export complete');
+            setTimeout(() => this.hideExportModal(), 600);
+        } catch (e) {
+            console.error('Error exporting game:', e); this.setExportProgress(null);
+            this.showAlert('Export Failed', e.message || 'Error exporting game. Please try again.', 'error');
+        } finally { if (confirmBtn) confirmBtn.disabled = false; }
+    }
+    getExportGame() {
+        const gameSelect = document.getElementById('exportGameSelect');
+        const code = gameSelect ? gameSelect.value : '';
+        if (!code) return this.withTeamLogos(this.currentGame);
+        try { const gameData = localStorage.getItem(`game_${code}`); return gameData ? this.withTeamLogos(this.exporter.normalizeGame(JSON.parse(gameData))) : null; } catch (e) { console.error('Error loading game for export:', e); return null; }
+    }
+    exportGameJson(game) { this.exporter.download(this.exporter.buildFilename(game, 'game', 'json'), this.exporter.toJson(game), 'application/json'); }
+    exportGamePdf(game) {
+        this.setExportProgress(40, 'Building game report...');
+        const doc = new GameReportBuilder(this.exporter).build(game);
+        this.exporter.download(this.exporter.buildFilename(game, 'report', 'pdf'), doc.output('blob'), 'application/pdf');
+    }
+    async exportShotChartPng(game) {
+        const value = (id) => { const el = document.getElementById(id); return el ? el.value : ''; };
+        const heatmapInput = document.getElementById('pngHeatmap');
+        const options = {
+            team: value('pngTeam'), playerId: value('pngPlayer'), period: Number(value('pngPeriod')) || null,
+            heatmap: heatmapInput ? heatmapInput.checked : false,
+            heatmapOpacity: this.courtInterface ? this.courtInterface.settings.heatmapOpacity : 0.7
+        };
+        this.setExportProgress(40, 'Rendering shot chart...');
+        const blob = await new ShotChartImageRenderer(this.exporter).render(game, Number(value('pngResolution')) || 2400, options);
+        const subject = options.playerId ? options.playerId : (options.team || 'all');
+        this.exporter.download(this.exporter.buildFilename(game, `shot-chart-${subject}${options.period ? `-p${options.period}` : ''}`, 'png'), blob, 'image/png');
+    }
+    async exportGamePackage(game) {
+        const blob = await new GamePackageBuilder(this.exporter).build(game, (percent, message) => this.setExportProgress(percent, message));
+        this.exporter.download(this.exporter.buildFilename(game, 'package', 'zip'), blob, 'application/zip');
+    }
+    exportPlayerCsv(game) { this.exporter.download(this.exporter.buildFilename(game, 'box-score', 'csv'), this.exporter.toPlayerCsv(game), 'text/csv;charset=utf-8'); }
+    importGameFile(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            let game;
+            try { game = this.exporter.parseGameFile(reader.result); } catch (e) { this.showAlert('Import Failed', e.message, 'error'); return; }
+            if (game.status === 'live') game.status = 'paused';
+            if (!this.gameCodeExists(game.code)) { this.storeImportedGame(game); return; }
+            const message = `A game with code ${game.code} already exists in this browser.`;
+            if (typeof Swal !== 'undefined') {
+                Swal.fire({ title: 'Game Code In Use', text: message, icon: 'question', showDenyButton: true, showCancelButton: true, confirmButtonText: 'Import as New Code', denyButtonText: 'Replace Existing', cancelButtonText: 'Cancel' }).then((result) => {
+                    if (result.isConfirmed) this.storeImportedGame(game, this.createUniqueGameCode());
+                    else if (result.isDenied) this.storeImportedGame(game);
+                });
+            } else if (confirm(`${message} Replace it? Choose Cancel to import under a new code.`)) this.storeImportedGame(game);
+            else this.storeImportedGame(game, this.createUniqueGameCode());
+        };
+        reader.onerror = () => this.showAlert('Import Failed', 'The file could not be read.', 'error');
+        reader.readAsText(file);
+    }
+    storeImportedGame(game, newCode = null) {
+        if (newCode) { game.code = newCode; game.playByPlay.unshift({ message: `Game imported under new code ${newCode}`, time: this.formatTime(game.gameState.gameTime), period: game.gameState.period, timestamp: Date.now() }); }
+        try { localStorage.setItem(`game_${game.code}`, JSON.stringify(game)); } catch (e) { console.error('Error importing game:', e); this.showAlert('Import Failed', 'Not enough browser storage to import this game.', 'error'); return; }
+        this.loadActiveGames();
+        this.showAlert('Game Imported', `${game.name} is available under code ${game.code}.`, 'success');
+    }
     selectQuickTeam(team) {
         this.selectedQuickTeam = team;
         document.querySelectorAll('#quickHomeTab, #quickAwayTab').forEach(tab => tab.classList.toggle('active', tab.dataset.team === team));
         this.updateQuickPlayerDropdown();
     }
+    /** An <optgroup> built with DOM calls, so a team name is shown as text in the label. */
+    createOptionGroup(label, options) {
+        const group = document.createElement('optgroup');
+        group.label = label;
+        options.forEach(option => group.appendChild(option));
+        return group;
+    }
+    /** Lists on-court players first once a lineup is set, then the bench. */
+    fillPlayerSelect(select, team, placeholder) {
+        select.innerHTML = ''; select.add(new Option(placeholder, ''));
+        if (!this.currentGame.teams[team] || !this.currentGame.teams[team].players) return;
+        const players = [...this.currentGame.teams[team].players].sort((a, b) => a.number - b.number);
+        const onCourt = this.getOnCourt(team);
+        const toOption = (player) => { const dq = this.getDisqualification(player.id); return new Option(`#${player.number} ${player.name} (${player.position})${dq ? ` - ${dq.reason}` : ''}`, player.id); };
+        if (!onCourt.length) { players.forEach(player => select.add(toOption(player))); return; }
+        select.append(this.createOptionGroup('On Court', players.filter(p => onCourt.includes(p.id)).map(toOption)), this.createOptionGroup('Bench', players.filter(p => !onCourt.includes(p.id)).map(toOption)));
+    }
     updateQuickPlayerDropdown() {
         const select = document.getElementById('quickPlayerSelect');
         if (!select || !this.currentGame) return;
         const currentValue = select.value;
-        select.innerHTML = '<option value="">Select Player</option>';
-        const team = this.selectedQuickTeam;
-        if (this.currentGame.teams[team] && this.currentGame.teams[team].players) {
-            this.currentGame.teams[team].players.sort((a, b) => a.number - b.number).forEach(player => {
-                const option = document.createElement('option');
-                option.value = player.id;
-                option.textContent = `#${player.number} ${player.name} (${player.position})`;
-                select.appendChild(option);
-            });
-        }
+        this.fillPlayerSelect(select, this.selectedQuickTeam, 'Select Player');
         if (currentValue && select.querySelector(`option[value="${currentValue}"]`)) {
             select.value = currentValue;
             this.selectedQuickPlayer = currentValue;
@@ -749,16 +3410,7 @@ class BasketballGameManagerPro {
         const select = document.getElementById('courtPlayerSelect');
         if (!select || !this.currentGame) return;
         const currentValue = select.value;
-        select.innerHTML = '<option value="">Select Player for Court Actions</option>';
-        const team = this.selectedCourtTeam;
-        if (this.currentGame.teams[team] && this.currentGame.teams[team].players) {
-            this.currentGame.teams[team].players.sort((a, b) => a.number - b.number).forEach(player => {
-                const option = document.createElement('option');
-                option.value = player.id;
-                option.textContent = `#${player.number} ${player.name} (${player.position})`;
-                select.appendChild(option);
-            });
-        }
+        this.fillPlayerSelect(select, this.selectedCourtTeam, 'Select Player for Court Actions');
         if (currentValue && select.querySelector(`option[value="${currentValue}"]`)) {
             select.value = currentValue;
             this.selectedCourtPlayer = currentValue;
@@ -782,15 +3434,36 @@ class BasketballGameManagerPro {
         }
         const joinPasswordInput = document.getElementById('joinPassword');
         if (joinPasswordInput) joinPasswordInput.addEventListener('keypress', (e) => { if (e.key === 'Enter') { const code = document.getElementById('joinGameCode').value.trim().toUpperCase(); this.attemptAdminJoin(code); } });
+        const relayInput = document.getElementById('relayUrl');
+        if (relayInput) { relayInput.value = this.getRelayUrl(); relayInput.addEventListener('change', (e) => this.saveRelayUrl(e.target.value)); }
+        const relayKeyInput = document.getElementById('relayKey');
+        if (relayKeyInput) { relayKeyInput.value = this.getRelayKey(); relayKeyInput.addEventListener('change', (e) => this.saveRelayKey(e.target.value)); }
         const refreshBtn = document.getElementById('refreshGamesBtn');
         if (refreshBtn) refreshBtn.addEventListener('click', (e) => { e.preventDefault(); this.loadActiveGames(); });
+        const importBtn = document.getElementById('importGameBtn'); const importInput = document.getElementById('importGameFile');
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', (e) => { e.preventDefault(); importInput.click(); });
+            importInput.addEventListener('change', (e) => { this.importGameFile(e.target.files[0]); e.target.value = ''; });
+        }
     }
     setupConfigPageEvents() {
         const backBtn = document.getElementById('backToHomeBtn');
         if (backBtn) backBtn.addEventListener('click', (e) => { e.preventDefault(); this.switchPage('home'); });
         const continueBtn = document.getElementById('continueConfigBtn');
         if (continueBtn) continueBtn.addEventListener('click', (e) => { e.preventDefault(); this.saveGameConfig(); });
-        document.querySelectorAll('.game-type-card').forEach(card => card.addEventListener('click', () => { document.querySelectorAll('.game-type-card').forEach(c => c.classList.remove('selected')); card.classList.add('selected'); }));
+        document.querySelectorAll('.game-type-card').forEach(card => card.addEventListener('click', () => { document.querySelectorAll('.game-type-card').forEach(c => c.classList.remove('selected')); card.classList.add('selected'); this.updateFormatPreset(card.dataset.type); }));
+        ['home', 'away'].forEach(side => {
+            const librarySelect = document.getElementById(`${side}TeamLibrary`);
+            if (librarySelect) librarySelect.addEventListener('change', (e) => { if (e.target.value) this.confirmLoadLibraryTeam(side, e.target.value); else if (this.currentGame) { delete this.currentGame.teams[side].libraryId; this.saveGame(); } this.renderTeamLibraryOptions(); });
+            const forgetBtn = document.getElementById(`${side}ForgetTeamBtn`);
+            if (forgetBtn) forgetBtn.addEventListener('click', (e) => { e.preventDefault(); const id = librarySelect && librarySelect.value; if (id) this.confirmDeleteLibraryTeam(id); });
+            const logoInput = document.getElementById(`${side}TeamLogo`);
+            if (logoInput) logoInput.addEventListener('change', (e) => { this.setTeamLogo(side, e.target.files[0]); e.target.value = ''; });
+        });
+        const presetSelect = document.getElementById('rulePreset');
+        if (presetSelect) { presetSelect.addEventListener('change', (e) => this.applyRulePreset(e.target.value)); this.applyRulePreset(presetSelect.value); }
+        // Editing any rule by hand turns the preset into custom rules.
+        RULE_FIELDS.forEach(id => { const el = document.getElementById(id); if (el && presetSelect) el.addEventListener('change', () => { presetSelect.value = 'custom'; const note = document.getElementById('timeoutSplitNote'); if (note) note.textContent = ''; }); });
     }
     setupPlayerSetupEvents() {
         const backConfigBtn = document.getElementById('backToConfigBtn');
@@ -801,6 +3474,13 @@ class BasketballGameManagerPro {
         if (addHomeBtn) addHomeBtn.addEventListener('click', (e) => { e.preventDefault(); this.addPlayer('home'); });
         const addAwayBtn = document.getElementById('addAwayPlayerBtn');
         if (addAwayBtn) addAwayBtn.addEventListener('click', (e) => { e.preventDefault(); this.addPlayer('away'); });
+        ['home', 'away'].forEach(side => {
+            const rosterInput = document.getElementById(`${side}RosterFile`);
+            const importBtn = document.getElementById(`${side}ImportRosterBtn`);
+            if (importBtn && rosterInput) { importBtn.addEventListener('click', (e) => { e.preventDefault(); rosterInput.click(); }); rosterInput.addEventListener('change', (e) => { this.importRosterCsv(side, e.target.files[0]); e.target.value = ''; }); }
+            const saveBtn = document.getElementById(`${side}SaveTeamBtn`);
+            if (saveBtn) saveBtn.addEventListener('click', (e) => { e.preventDefault(); this.saveTeamToLibrary(side); });
+        });
         ['homePlayerName', 'homePlayerNumber', 'awayPlayerName', 'awayPlayerNumber'].forEach(id => {
             const element = document.getElementById(id);
             if (element) element.addEventListener('keypress', (e) => { if (e.key === 'Enter') { e.preventDefault(); const team = id.includes('home') ? 'home' : 'away'; this.addPlayer(team); } });
@@ -813,6 +3493,11 @@ class BasketballGameManagerPro {
         if (resetClockBtn) resetClockBtn.addEventListener('click', (e) => { e.preventDefault(); this.resetGameClock(); });
         const resetShotClockBtn = document.getElementById('resetShotClockBtn');
         if (resetShotClockBtn) resetShotClockBtn.addEventListener('click', (e) => { e.preventDefault(); this.resetShotClock(); });
+        const shortShotClockBtn = document.getElementById('shortShotClockBtn');
+        if (shortShotClockBtn) shortShotClockBtn.addEventListener('click', (e) => { e.preventDefault(); this.resetShotClock(this.engine.getShotClockRules(this.currentGame).offensiveRebound); });
+        const setClockBtn = document.getElementById('setClockBtn');
+        if (setClockBtn) setClockBtn.addEventListener('click', (e) => { e.preventDefault(); this.promptSetGameClock(); });
+        [['clockMinusBtn', -1], ['clockPlusBtn', 1]].forEach(([id, delta]) => { const btn = document.getElementById(id); if (btn) btn.addEventListener('click', (e) => { e.preventDefault(); this.adjustGameClock(delta); }); });
         const nextPeriodBtn = document.getElementById('nextPeriodBtn');
         if (nextPeriodBtn) nextPeriodBtn.addEventListener('click', (e) => { e.preventDefault(); this.nextPeriod(); });
         const endGameBtn = document.getElementById('endGameBtn');
@@ -820,9 +3505,10 @@ class BasketballGameManagerPro {
         const viewGameBtn = document.getElementById('viewGameBtn');
         if (viewGameBtn) viewGameBtn.addEventListener('click', (e) => { e.preventDefault(); this.openViewerWindow(); });
         this.setupEnhancedQuickStatsEvents();
+        this.setupEnhancedCourtEvents();
     }
     setupEnhancedQuickStatsEvents() {
-        document.querySelectorAll('.quick-stat-btn').forEach(btn => btn.addEventListener('click', (e) => { e.preventDefault(); const stat = e.target.dataset.stat; const points = parseInt(e.target.dataset.points) || 0; this.recordQuickStat(stat, points); }));
+        document.querySelectorAll('.quick-stat-btn').forEach(btn => btn.addEventListener('click', (e) => { e.preventDefault(); this.recordQuickStat(e.currentTarget.dataset.stat); }));
         const quickPlayerSelect = document.getElementById('quickPlayerSelect');
         if (quickPlayerSelect) quickPlayerSelect.addEventListener('change', (e) => { this.selectedQuickPlayer = e.target.value; });
     }
@@ -840,21 +3526,26 @@ class BasketballGameManagerPro {
     setupEnhancedKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') { if (e.key === 'Escape') e.target.blur(); return; }
+            if (this.freeThrowTrip && e.key === 'Escape') { e.preventDefault(); this.stopFreeThrowTrip(); return; }
+            if (this.freeThrowTrip && !e.ctrlKey && ['m', 'x'].includes(e.key.toLowerCase())) { e.preventDefault(); this.recordFreeThrow(e.key.toLowerCase() === 'm' ? 'make' : 'miss'); return; }
             if (e.key === ' ') { e.preventDefault(); if (this.isAdmin) this.toggleGameClock(); return; }
-            if (e.key === 'Enter') { e.preventDefault(); if (this.isAdmin) this.resetShotClock(); return; }
+            if (e.key === 'Enter') { e.preventDefault(); if (this.isAdmin && this.currentGame) this.resetShotClock(e.shiftKey ? this.engine.getShotClockRules(this.currentGame).offensiveRebound : null); return; }
+            if (e.key === '[' || e.key === ']') { e.preventDefault(); this.adjustGameClock(e.key === '[' ? -1 : 1); return; }
             if (e.key === '?') { e.preventDefault(); this.showShortcutsModal(); return; }
+            if (e.key.toLowerCase() === 'j' && !e.ctrlKey && this.isAdmin && this.isPageActive('controller') && this.currentGame && this.engine.getGameType(this.currentGame).jumpBalls !== false) { e.preventDefault(); this.recordJumpBall(); return; }
+            if (e.ctrlKey && (e.key === 'y' || e.key === 'Z')) { e.preventDefault(); this.redoLastAction(); return; }
             if (e.ctrlKey && e.key === 'z') { e.preventDefault(); this.undoLastAction(); return; }
-            if (e.key === 'Escape') { e.preventDefault(); if (this.courtInterface) this.courtInterface.hideRadialMenu(); this.hideShortcutsModal(); return; }
+            if (e.key === 'Escape') { e.preventDefault(); if (this.courtInterface) this.courtInterface.hideRadialMenu(); this.hideShortcutsModal(); if (this.editingAction) this.hideActionEditor(); return; }
             if (!this.isAdmin || !this.getSelectedPlayer()) return;
             switch (e.key.toLowerCase()) {
-                case '1': e.preventDefault(); this.recordQuickStat('ft', 1); break;
-                case '2': e.preventDefault(); this.recordQuickStat('fg2', 2); break;
-                case '3': e.preventDefault(); this.recordQuickStat('fg3', 3); break;
+                case '1': e.preventDefault(); this.recordQuickStat('ft'); break;
+                case '2': e.preventDefault(); this.recordQuickStat('fg2'); break;
+                case '3': e.preventDefault(); this.recordQuickStat('fg3'); break;
                 case 'r': e.preventDefault(); this.recordQuickStat('rebound'); break;
                 case 'a': e.preventDefault(); this.recordQuickStat('assist'); break;
                 case 'b': e.preventDefault(); this.recordQuickStat('block'); break;
                 case 's': e.preventDefault(); this.recordQuickStat('steal'); break;
-                case 'f': e.preventDefault(); if (e.shiftKey) this.recordQuickStat('foul+'); else this.recordQuickStat('foul-'); break;
+                case 'f': e.preventDefault(); this.recordQuickStat(e.shiftKey ? 'foul-shooting' : 'foul-personal'); break;
                 case 't': e.preventDefault(); if (e.shiftKey) this.recordQuickStat('timeout+'); else this.recordQuickStat('timeout-'); break;
                 case 'o': e.preventDefault(); this.recordQuickStat('turnover'); break;
             }
@@ -878,9 +3569,13 @@ class BasketballGameManagerPro {
     }
     showAlert(title, text, icon) { if (typeof Swal !== 'undefined') Swal.fire({ title, text, icon }); else alert(`${title}: ${text}`); }
     generateNewGameCode() {
+        const code = this.createUniqueGameCode();
+        const codeDisplay = document.getElementById('newGameCode'); if (codeDisplay) codeDisplay.textContent = code; return code;
+    }
+    createUniqueGameCode() {
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'; let code;
         do { code = ''; for (let i = 0; i < 6; i++) code += chars.charAt(Math.floor(Math.random() * chars.length)); } while (this.gameCodeExists(code));
-        const codeDisplay = document.getElementById('newGameCode'); if (codeDisplay) codeDisplay.textContent = code; return code;
+        return code;
     }
     gameCodeExists(code) { try { return localStorage.getItem(`game_${code}`) !== null; } catch (e) { return false; } }
     createNewGame() {
@@ -889,19 +3584,25 @@ class BasketballGameManagerPro {
         if (!adminPassword) { this.showAlert('Password Required', 'Please enter an admin password to create the game.', 'warning'); return; }
         try {
             this.currentGameCode = code; this.isAdmin = true;
-            this.currentGame = { code, name: gameName || 'Basketball Game', adminPassword, type: 'professional', status: 'setup', created: new Date().toISOString(), settings: { gameFormat: 'quarters', periodDuration: 12, timeoutsPerTeam: 7, foulLimit: 7, shotClockEnabled: true, shotClockTime: 24 }, teams: { home: { name: 'Home Team', color: 'bg-1', players: [] }, away: { name: 'Away Team', color: 'bg-4', players: [] } }, gameState: { period: 1, gameTime: 720, shotClock: 24, scores: { home: 0, away: 0 }, fouls: { home: 0, away: 0 }, timeouts: { home: 7, away: 7 } }, stats: {}, shots: [], playByPlay: [], analytics: { totalShots: 0, madeShots: 0, threePointAttempts: 0, threePointMakes: 0, totalActions: 0 } };
-            this.saveGame(); this.updateGameCodeDisplays(); this.switchPage('config');
+            const settings = this.engine.getPresetSettings('fiba');
+            this.currentGame = { code, name: gameName || 'Basketball Game', adminPassword, type: 'professional', status: 'setup', created: new Date().toISOString(), settings: { ...settings, courtType: 'fiba' }, teams: { home: { name: 'Home Team', color: 'bg-1', players: [] }, away: { name: 'Away Team', color: 'bg-4', players: [] } }, gameState: { period: 1, gameTime: settings.periodDuration * 60, shotClock: settings.shotClockTime, clockElapsed: 0, scores: { home: 0, away: 0 }, fouls: { home: 0, away: 0 }, timeouts: { home: settings.timeoutsPerTeam, away: settings.timeoutsPerTeam }, periodScores: { home: [], away: [] }, onCourt: { home: [], away: [] } }, stats: {}, events: [], shots: [], playByPlay: [], analytics: { totalShots: 0, madeShots: 0, threePointAttempts: 0, threePointMakes: 0, totalActions: 0 } };
+            this.openSyncChannel(); this.saveGame(); this.updateGameCodeDisplays(); this.switchPage('config');
         } catch (error) { console.error('Error creating game:', error); this.showAlert('Error', 'Error creating game. Please try again.', 'error'); }
     }
     joinGame(code, asAdmin = false) {
         if (!code || code.length !== 6) { this.showAlert('Invalid Code', 'Please enter a valid 6-character game code.', 'error'); return; }
         try {
             const gameData = localStorage.getItem(`game_${code}`);
+            if (!gameData && !asAdmin && this.getRelayUrl()) { this.joinRemoteGame(code); return; }
             if (!gameData) { this.showAlert('Game Not Found', 'Please check the code and try again.', 'error'); return; }
-            this.currentGame = JSON.parse(gameData); this.currentGameCode = code; this.isAdmin = asAdmin;
+            this.cancelRemoteJoin();
+            this.currentGame = JSON.parse(gameData); this.currentGameCode = code; this.isAdmin = asAdmin; this.redoStack = []; this.openSyncChannel();
+            CourtStandards.registerAll(this.currentGame.settings.customCourts);
+            if (asAdmin) this.engine.apply(this.currentGame);
             if (!this.currentGame.shots) this.currentGame.shots = []; if (!this.currentGame.playByPlay) this.currentGame.playByPlay = []; if (!this.currentGame.analytics) this.currentGame.analytics = { totalShots: 0, madeShots: 0, threePointAttempts: 0, threePointMakes: 0, totalActions: 0 };
             this.updateGameCodeDisplays(); this.clearError(); this.hidePasswordField();
             if (asAdmin) { if (this.currentGame.status === 'setup') this.switchPage('config'); else this.switchPage('controller'); } else { this.switchPage('viewer'); }
+            if (this.courtInterface && this.currentGame.settings.courtType) this.courtInterface.setCourtType(this.currentGame.settings.courtType);
             this.updateAllDisplays(); this.loadExistingActions();
         } catch (e) { console.error('Error joining game:', e); this.showAlert('Error', 'Error loading game. Please try again.', 'error'); }
     }
@@ -912,18 +3613,46 @@ class BasketballGameManagerPro {
         this.currentGame.teams.away.name = document.getElementById('awayTeamName').value || 'Away Team';
         this.currentGame.teams.home.color = document.getElementById('homeTeamColor').value;
         this.currentGame.teams.away.color = document.getElementById('awayTeamColor').value;
-        this.currentGame.settings.gameFormat = document.getElementById('gameFormat').value;
-        this.currentGame.settings.periodDuration = parseInt(document.getElementById('periodDuration').value);
-        this.currentGame.settings.timeoutsPerTeam = parseInt(document.getElementById('timeoutsPerTeam').value);
-        this.currentGame.settings.foulLimit = parseInt(document.getElementById('foulLimit').value);
-        this.currentGame.settings.shotClockEnabled = document.getElementById('shotClockEnabled').checked;
+        Object.assign(this.currentGame.settings, this.readRuleFields());
         this.currentGame.type = document.querySelector('.game-type-card.selected').dataset.type;
+        // Game types with their own rules override the format fields.
+        Object.assign(this.currentGame.settings, this.engine.getGameType(this.currentGame).settings || {});
         this.currentGame.gameState.gameTime = this.currentGame.settings.periodDuration * 60;
-        this.currentGame.gameState.timeouts.home = this.currentGame.settings.timeoutsPerTeam;
-        this.currentGame.gameState.timeouts.away = this.currentGame.settings.timeoutsPerTeam;
+        this.engine.apply(this.currentGame);
         if (this.currentGame.settings.shotClockEnabled) this.currentGame.gameState.shotClock = this.currentGame.settings.shotClockTime || 24;
+        if (this.courtInterface) this.courtInterface.setCourtType(this.currentGame.settings.courtType);
         this.saveGame();
-        if (this.currentGame.type === 'professional') this.switchPage('playerSetup'); else this.startGame();
+        if (this.engine.getGameType(this.currentGame).playerStats) this.switchPage('playerSetup'); else this.startGame();
+    }
+    /** Locks the format fields while a game type with fixed rules is selected. */
+    updateFormatPreset(type) {
+        const preset = (GAME_TYPES[type] || GAME_TYPES.professional).settings;
+        ['rulePreset', ...RULE_FIELDS].forEach(id => { const el = document.getElementById(id); if (el) el.disabled = !!preset; });
+        const note = document.getElementById('formatPresetNote'); if (note) note.classList.toggle('hidden', !preset);
+    }
+    /** Fills the rule fields on the config page from a preset. Custom leaves them as they are. */
+    applyRulePreset(presetId) {
+        if (!RULE_PRESETS[presetId]) return;
+        const settings = this.engine.getPresetSettings(presetId);
+        const values = { ...settings, overtimeTimeouts: settings.timeoutRules.overtime };
+        RULE_FIELDS.forEach(id => { const el = document.getElementById(id); if (!el || values[id] === undefined) return; if (el.type === 'checkbox') el.checked = values[id]; else el.value = values[id]; });
+        const { halves, lastPeriodMax, late, overtimeCarries } = settings.timeoutRules;
+        const note = document.getElementById('timeoutSplitNote');
+        if (note) note.textContent = [halves && `${halves[0]} in the first half, ${halves[1]} in the second`, lastPeriodMax && `at most ${lastPeriodMax} in the last period`, late && `at most ${late.max} in the last ${late.seconds / 60} minutes of the last period`, !overtimeCarries && 'unused timeouts expire before overtime'].filter(Boolean).join('; ');
+    }
+    /** Reads the rule fields into game settings. A preset keeps its own timeout split; custom rules get one allowance per game. */
+    readRuleFields() {
+        const field = (id) => document.getElementById(id);
+        const number = (id) => Math.max(0, parseFloat(field(id).value) || 0);
+        const rulePreset = field('rulePreset').value;
+        const timeoutsPerTeam = number('timeoutsPerTeam');
+        return {
+            rulePreset, gameFormat: field('gameFormat').value, periodDuration: number('periodDuration'), overtimeDuration: number('overtimeDuration'),
+            halftimeDuration: number('halftimeDuration'), breakDuration: number('breakDuration'), timeoutsPerTeam, timeoutDuration: number('timeoutDuration') || 60,
+            timeoutRules: RULE_PRESETS[rulePreset] ? { ...RULE_PRESETS[rulePreset].timeoutRules } : { perGame: timeoutsPerTeam, overtime: number('overtimeTimeouts'), overtimeCarries: true },
+            ruleSet: field('ruleSet').value, personalFoulLimit: number('personalFoulLimit') || null, foulLimit: number('foulLimit'),
+            shotClockEnabled: field('shotClockEnabled').checked, shotClockTime: number('shotClockTime') || 24
+        };
     }
     addPlayer(team) {
         const nameInput = document.getElementById(`${team}PlayerName`); const numberInput = document.getElementById(`${team}PlayerNumber`); const positionInput = document.getElementById(`${team}PlayerPosition`);
@@ -934,7 +3663,7 @@ class BasketballGameManagerPro {
         if (this.currentGame.teams[team].players.find(p => p.number === number)) { this.showAlert('Number Taken', `Jersey number ${number} is already taken.`, 'warning'); return; }
         const player = { name, number, position: position || 'N/A', id: `${team}_${number}` };
         this.currentGame.teams[team].players.push(player);
-        this.currentGame.stats[player.id] = { points: 0, rebounds: 0, assists: 0, fouls: 0, steals: 0, blocks: 0, turnovers: 0, fieldGoals: { made: 0, attempted: 0 }, threePointers: { made: 0, attempted: 0 }, freeThrows: { made: 0, attempted: 0 } };
+        this.currentGame.stats[player.id] = this.engine.emptyPlayerStats();
         nameInput.value = ''; numberInput.value = ''; if (positionInput) positionInput.value = '';
         this.updatePlayersList(team); this.updateStartGameButton(); this.saveGame();
     }
@@ -946,13 +3675,19 @@ class BasketballGameManagerPro {
         this.currentGame.teams[team].players = this.currentGame.teams[team].players.filter(p => p.id !== playerId); delete this.currentGame.stats[playerId];
         this.updatePlayersList(team); this.updateStartGameButton(); this.saveGame();
     }
+    /** A roster row. Names can come from imported CSV files, so they are set as text rather than markup. */
+    createPlayerItem(player, actionLabel, onAction) {
+        const el = (tag, className, text) => { const node = document.createElement(tag); if (className) node.className = className; if (text !== undefined) node.textContent = text; return node; };
+        const item = el('div', 'player-item'); const info = el('div', 'player-info'); const details = el('div');
+        details.append(el('div', 'player-name', player.name), el('div', 'player-position', player.position));
+        info.append(el('span', 'player-number-badge', String(player.number)), details);
+        const button = el('button', 'btn btn--sm btn--outline', actionLabel); button.addEventListener('click', onAction);
+        item.append(info, button);
+        return item;
+    }
     updatePlayersList(team) {
         const list = document.getElementById(`${team}PlayersList`); if (!list) return; list.innerHTML = '';
-        this.currentGame.teams[team].players.forEach(player => {
-            const div = document.createElement('div'); div.className = 'player-item';
-            div.innerHTML = `<div class="player-info"><span class="player-number-badge">${player.number}</span><div><div class="player-name">${player.name}</div><div class="player-position">${player.position}</div></div></div><button class="btn btn--sm btn--outline" onclick="window.appInstance.removePlayer('${team}', '${player.id}')">Remove</button>`;
-            list.appendChild(div);
-        });
+        this.currentGame.teams[team].players.forEach(player => list.appendChild(this.createPlayerItem(player, 'Remove', () => this.removePlayer(team, player.id))));
         const status = document.getElementById(`${team}TeamStatus`); const count = this.currentGame.teams[team].players.length;
         if (status) { if (count === 0) { status.textContent = 'No players added'; status.className = 'team-status'; } else { status.textContent = `${count} player${count > 1 ? 's' : ''} added`; status.className = 'team-status ready'; } }
     }
@@ -968,39 +3703,80 @@ class BasketballGameManagerPro {
     }
     toggleGameClock() { if (!this.currentGame || !this.isAdmin) return; if (this.currentGame.status === 'live') this.pauseGame(); else this.resumeGame(); }
     resumeGame() {
+        this.endBreak(false);
         this.currentGame.status = 'live'; this.addPlayByPlayEvent(`Game resumed - ${this.getPeriodName()}`);
-        this.clockInterval = setInterval(() => { if (this.currentGame.gameState.gameTime > 0) { this.currentGame.gameState.gameTime--; this.updateClockDisplays(); if (this.currentGame.gameState.gameTime === 0) this.handlePeriodEnd(); } }, 1000);
-        if (this.currentGame.settings.shotClockEnabled) {
-            this.shotClockInterval = setInterval(() => {
-                if (this.currentGame.gameState.shotClock > 0) {
-                    this.currentGame.gameState.shotClock--; this.updateClockDisplays();
-                    [document.getElementById('shotClockDisplay'), document.getElementById('viewerShotClock')].forEach(el => { if (el) { el.classList.remove('warning', 'danger'); if (this.currentGame.gameState.shotClock <= 5) el.classList.add('danger'); else if (this.currentGame.gameState.shotClock <= 10) el.classList.add('warning'); } });
-                }
-            }, 1000);
-        }
+        this.lastClockTick = this.monotonicNow();
+        this.clockInterval = setInterval(() => this.tickClocks(), 100);
+        this.publishClock();
         this.updateAllDisplays(); this.saveGame();
     }
-    pauseGame() { this.currentGame.status = 'paused'; this.addPlayByPlayEvent('Game paused'); this.clearIntervals(); this.updateAllDisplays(); this.saveGame(); }
-    clearIntervals() { if (this.clockInterval) { clearInterval(this.clockInterval); this.clockInterval = null; } if (this.shotClockInterval) { clearInterval(this.shotClockInterval); this.shotClockInterval = null; } }
+    pauseGame() { if (this.clockInterval) this.tickClocks(); this.currentGame.status = 'paused'; this.addPlayByPlayEvent('Game paused'); this.clearIntervals(); this.publishClock(); this.engine.apply(this.currentGame); this.updateAllDisplays(); this.updateLineupsPanel(); this.saveGame(); }
+    clearIntervals() { if (this.clockInterval) { clearInterval(this.clockInterval); this.clockInterval = null; } if (this.viewerClockInterval) { clearInterval(this.viewerClockInterval); this.viewerClockInterval = null; } }
     resetGameClock() {
         if (!this.isAdmin) return;
         if (typeof Swal !== 'undefined') { Swal.fire({ title: 'Reset Game Clock?', text: 'This will reset the game clock to the full period time.', icon: 'question', showCancelButton: true, confirmButtonText: 'Yes, reset', cancelButtonText: 'Cancel' }).then((result) => { if (result.isConfirmed) this.doResetGameClock(); }); }
         else { if (confirm('Reset game clock to full period time?')) this.doResetGameClock(); }
     }
-    doResetGameClock() { this.currentGame.gameState.gameTime = this.currentGame.settings.periodDuration * 60; this.addPlayByPlayEvent('Game clock reset'); this.updateClockDisplays(); this.saveGame(); }
-    resetShotClock() { if (!this.isAdmin) return; this.currentGame.gameState.shotClock = this.currentGame.settings.shotClockTime || 24; this.updateClockDisplays(); this.saveGame(); }
+    doResetGameClock() { this.setGameClock(this.getPeriodLength()); }
+    resetShotClock(seconds = null) { if (!this.isAdmin) return; this.currentGame.gameState.shotClock = seconds || this.currentGame.settings.shotClockTime || 24; this.updateClockDisplays(); this.publishClock(); this.saveGame(); }
     nextPeriod() {
         if (!this.isAdmin) return;
         if (typeof Swal !== 'undefined') { Swal.fire({ title: 'End Current Period?', text: 'This will end the current period and move to the next.', icon: 'question', showCancelButton: true, confirmButtonText: 'Yes, next period', cancelButtonText: 'Cancel' }).then((result) => { if (result.isConfirmed) this.handlePeriodEnd(); }); }
         else { if (confirm('End current period and move to next?')) this.handlePeriodEnd(); }
     }
     handlePeriodEnd() {
-        this.clearIntervals(); this.currentGame.status = 'paused';
-        const maxPeriods = this.currentGame.settings.gameFormat === 'quarters' ? 4 : 2;
+        this.clearIntervals(); this.currentGame.status = 'paused'; this.engine.apply(this.currentGame);
+        const maxPeriods = this.engine.getRegulationPeriods(this.currentGame);
         if (this.currentGame.gameState.period < maxPeriods) { this.currentGame.gameState.period++; this.currentGame.gameState.gameTime = this.currentGame.settings.periodDuration * 60; this.addPlayByPlayEvent(`End of ${this.getPeriodName(this.currentGame.gameState.period - 1)}`); this.showAlert(`End of ${this.getPeriodName(this.currentGame.gameState.period - 1)}`, `Starting ${this.getPeriodName()}`, 'info'); }
-        else if (this.currentGame.gameState.scores.home === this.currentGame.gameState.scores.away) { this.currentGame.gameState.period++; this.currentGame.gameState.gameTime = 300; this.addPlayByPlayEvent('Overtime period started'); this.showAlert('Overtime!', 'Game is tied. Starting 5-minute overtime period.', 'warning'); }
+        else if (this.currentGame.gameState.scores.home === this.currentGame.gameState.scores.away && this.engine.getGameType(this.currentGame).overtimeWinningPoints) { const target = this.engine.getGameType(this.currentGame).overtimeWinningPoints; this.currentGame.gameState.period++; this.currentGame.gameState.gameTime = 0; this.addPlayByPlayEvent(`Overtime started - first to ${target} points wins`); this.showAlert('Overtime!', `Game is tied. The first team to score ${target} points wins.`, 'warning'); }
+        else if (this.currentGame.gameState.scores.home === this.currentGame.gameState.scores.away) { const minutes = this.engine.getOvertimeSeconds(this.currentGame) / 60; this.currentGame.gameState.period++; this.currentGame.gameState.gameTime = minutes * 60; this.addPlayByPlayEvent('Overtime period started'); this.showAlert('Overtime!', `Game is tied. Starting ${minutes}-minute overtime period.`, 'warning'); }
         else { this.endGame(); return; }
-        this.updateAllDisplays(); this.saveGame();
+        // Untimed 3x3 overtime starts straight away, without a break.
+        if (!this.isUntimedPeriod()) this.startBreak(this.currentGame.gameState.period - 1);
+        this.engine.apply(this.currentGame); this.updateAllDisplays(); this.updateLineupsPanel(); this.loadExistingActions(); this.saveGame();
+    }
+    // --- BREAKS ---
+    /** Starts the countdown to the next period: halftime after the middle period, the short break otherwise. */
+    startBreak(periodEnded) {
+        const { settings } = this.currentGame;
+        const regulation = this.engine.getRegulationPeriods(this.currentGame);
+        const halftime = regulation >= 2 && periodEnded === regulation / 2;
+        const minutes = halftime ? settings.halftimeDuration : settings.breakDuration;
+        if (minutes) this.startCountdown(halftime ? 'Halftime' : 'Break', minutes * 60);
+    }
+    /** Shows a countdown on the controller and viewers; `warning` sounds a short horn that many seconds before the end, and `team` marks a timeout. */
+    startCountdown(label, seconds, warning = 0, team = null) {
+        this.endBreak(false);
+        this.currentGame.gameState.breakClock = { label, endsAt: Date.now() + seconds * 1000, warning, team };
+        this.runBreakCountdown(); this.publishClock(); this.saveGame();
+    }
+    /** Ends the break early when play resumes; a break that runs out sounds the horn instead. */
+    endBreak(expired) {
+        if (this.breakInterval) { clearInterval(this.breakInterval); this.breakInterval = null; }
+        const breakClock = this.currentGame && this.currentGame.gameState.breakClock;
+        if (!breakClock) return;
+        this.currentGame.gameState.breakClock = null;
+        if (expired) this.playBuzzer(1.5);
+        if (this.isAdmin) { if (expired) this.addPlayByPlayEvent(breakClock.team ? `${breakClock.label} over` : `End of ${breakClock.label.toLowerCase()}`); this.publishClock(); this.saveGame(); }
+        this.updateBreakDisplays();
+    }
+    runBreakCountdown() {
+        this.updateBreakDisplays();
+        if (this.breakInterval || !this.currentGame || !this.currentGame.gameState.breakClock) return;
+        this.breakInterval = setInterval(() => {
+            const breakClock = this.currentGame && this.currentGame.gameState.breakClock;
+            if (!breakClock) { clearInterval(this.breakInterval); this.breakInterval = null; this.updateBreakDisplays(); return; }
+            if (Date.now() >= breakClock.endsAt) { this.endBreak(true); return; }
+            if (breakClock.warning && !breakClock.warned && breakClock.endsAt - Date.now() <= breakClock.warning * 1000) { breakClock.warned = true; this.playBuzzer(0.3); }
+            // Viewers that joined from a saved game pick up the countdown from the next clock message.
+            if (this.isAdmin && this.monotonicNow() - this.lastClockPublish >= 5000) this.publishClock();
+            this.updateBreakDisplays();
+        }, 250);
+    }
+    updateBreakDisplays() {
+        const breakClock = this.currentGame && this.currentGame.gameState.breakClock;
+        const text = breakClock ? `${breakClock.label} ${this.formatTime(Math.ceil(Math.max(0, breakClock.endsAt - Date.now()) / 1000))}` : '';
+        ['breakCountdown', 'viewerBreakCountdown'].forEach(id => { const el = document.getElementById(id); if (el) { el.textContent = text; el.classList.toggle('hidden', !breakClock); } });
     }
     confirmEndGame() {
         if (!this.isAdmin) return;
@@ -1017,77 +3793,155 @@ class BasketballGameManagerPro {
         else message += `Game ended in a tie ${homeScore}-${awayScore}!`;
         this.addPlayByPlayEvent(message); this.updateAllDisplays(); this.saveGame(); this.showAlert('Game Over!', message, 'success');
     }
-    handleShotAction(action, stats, team) {
-        const { result, shotType, points } = action;
-        if (shotType === '3PT' || shotType === 'logo') { stats.threePointers.attempted++; if (result === 'make') { stats.threePointers.made++; stats.points += points; this.addScore(team, points); } this.currentGame.analytics.threePointAttempts++; if (result === 'make') this.currentGame.analytics.threePointMakes++; }
-        else if (shotType === 'ft') { stats.freeThrows.attempted++; if (result === 'make') { stats.freeThrows.made++; stats.points += points; this.addScore(team, points); } }
-        else { stats.fieldGoals.attempted++; if (result === 'make') { stats.fieldGoals.made++; stats.points += points; this.addScore(team, points); } }
-        this.currentGame.analytics.totalShots++; if (result === 'make') this.currentGame.analytics.madeShots++;
-        if (result === 'make' && this.currentGame.settings.shotClockEnabled) this.resetShotClock();
-        this.addPlayByPlayEvent(`#${action.playerNumber} ${action.playerName} ${result}s ${shotType} (${action.gameClock})`);
-    }
-    handleStatAction(actionType, stats, player) {
-        switch (actionType) {
-            case 'rebound': stats.rebounds++; this.addPlayByPlayEvent(`#${player.number} ${player.name} rebound`); break;
-            case 'assist': stats.assists++; this.addPlayByPlayEvent(`#${player.number} ${player.name} assist`); break;
-            case 'block': stats.blocks++; this.addPlayByPlayEvent(`#${player.number} ${player.name} block`); break;
-        }
-    }
-    addScore(team, points) { this.currentGame.gameState.scores[team] += points; this.currentGame.analytics.totalActions++; this.updateScoreDisplays(); this.saveGame(); this.updateViewerDisplays(); }
-    recordQuickStat(statType, points = 0) {
+    recordQuickStat(statType) {
         if (!this.isAdmin) { this.showAlert('Admin Required', 'Admin access required to record stats.', 'error'); return; }
         const selectedPlayer = this.getSelectedPlayer();
         if (!selectedPlayer && !statType.includes('timeout')) { this.showAlert('Select Player', 'Please select a team and player first.', 'warning'); return; }
-        if (statType.includes('foul') || statType.includes('timeout')) { const team = this.selectedQuickTeam; const isIncrement = statType.includes('+'); const stat = statType.includes('foul') ? 'fouls' : 'timeouts'; this.adjustTeamStat(team, stat, isIncrement ? 1 : -1); return; }
-        const stats = this.currentGame.stats[selectedPlayer.id]; if (!stats) return;
-        const action = { id: Date.now() + '_' + Math.random().toString(36).substr(2, 9), type: 'quickStat', statType, playerId: selectedPlayer.id, playerName: selectedPlayer.name, playerNumber: selectedPlayer.number, team: this.getPlayerTeam(selectedPlayer.id), points, period: this.currentGame.gameState.period, gameClock: this.formatTime(this.currentGame.gameState.gameTime), timestamp: Date.now() };
-        this.addToUndoStack(action);
-        const team = this.getPlayerTeam(selectedPlayer.id);
-        switch (statType) {
-            case 'ft': stats.freeThrows.made++; stats.freeThrows.attempted++; stats.points += points; this.addScore(team, points); this.addPlayByPlayEvent(`#${selectedPlayer.number} ${selectedPlayer.name} makes free throw`); break;
-            case 'fg2': stats.fieldGoals.made++; stats.fieldGoals.attempted++; stats.points += points; this.addScore(team, points); this.currentGame.analytics.totalShots++; this.currentGame.analytics.madeShots++; this.addPlayByPlayEvent(`#${selectedPlayer.number} ${selectedPlayer.name} makes 2-pointer`); if (this.currentGame.settings.shotClockEnabled) this.resetShotClock(); break;
-            case 'fg3': stats.threePointers.made++; stats.threePointers.attempted++; stats.points += points; this.addScore(team, points); this.currentGame.analytics.totalShots++; this.currentGame.analytics.madeShots++; this.currentGame.analytics.threePointAttempts++; this.currentGame.analytics.threePointMakes++; this.addPlayByPlayEvent(`#${selectedPlayer.number} ${selectedPlayer.name} makes 3-pointer`); if (this.currentGame.settings.shotClockEnabled) this.resetShotClock(); break;
-            case 'rebound': stats.rebounds++; this.addPlayByPlayEvent(`#${selectedPlayer.number} ${selectedPlayer.name} rebound`); break;
-            case 'assist': stats.assists++; this.addPlayByPlayEvent(`#${selectedPlayer.number} ${selectedPlayer.name} assist`); break;
-            case 'block': stats.blocks++; this.addPlayByPlayEvent(`#${selectedPlayer.number} ${selectedPlayer.name} block`); break;
-            case 'steal': stats.steals++; this.addPlayByPlayEvent(`#${selectedPlayer.number} ${selectedPlayer.name} steal`); break;
-            case 'turnover': stats.turnovers++; this.addPlayByPlayEvent(`#${selectedPlayer.number} ${selectedPlayer.name} turnover`); break;
-        }
-        this.currentGame.analytics.totalActions++; this.updateAllDisplays(); this.updateAnalytics(); this.saveGame();
+        if (statType.includes('timeout')) { this.adjustTeamStat(this.selectedQuickTeam, 'timeouts', statType.includes('+') ? 1 : -1); return; }
+        const team = this.getPlayerTeam(selectedPlayer.id); if (!team) return;
+        if (statType === 'and1') { this.startAndOne(selectedPlayer, team); return; }
+        if (statType.startsWith('foul-')) { this.recordFoul(this.createPlayerEvent('foul', selectedPlayer, team, { foulType: statType.slice(5) })); return; }
+        if (['ft', 'fg2', 'fg3'].includes(statType)) this.recordEvent(this.createPlayerEvent('shot', selectedPlayer, team, { result: 'make', points: this.engine.pointsForBucket(statType, this.currentGame), bucket: statType }));
+        else this.recordEvent(this.createPlayerEvent('stat', selectedPlayer, team, { stat: statType }));
     }
-    addToUndoStack(action) { this.undoStack.push({ action, gameStateBefore: JSON.parse(JSON.stringify(this.currentGame.gameState)), statsBefore: JSON.parse(JSON.stringify(this.currentGame.stats)), analyticsBefore: JSON.parse(JSON.stringify(this.currentGame.analytics)) }); if (this.undoStack.length > this.maxUndoStackSize) this.undoStack.shift(); }
-    updatePlayerSelects() { this.selectQuickTeam('home'); this.selectCourtTeam('home'); this.updateQuickPlayerDropdown(); this.updateCourtPlayerDropdown(); }
+    updatePlayerSelects() { this.selectQuickTeam(this.selectedQuickTeam); this.selectCourtTeam(this.selectedCourtTeam); }
     updateAnalytics() {
         if (!this.currentGame) return;
         const { analytics } = this.currentGame;
         const shootingPct = analytics.totalShots > 0 ? Math.round((analytics.madeShots / analytics.totalShots) * 100) : 0;
         const threePointPct = analytics.threePointAttempts > 0 ? Math.round((analytics.threePointMakes / analytics.threePointAttempts) * 100) : 0;
-        const elements = { 'teamShootingPct': `${shootingPct}%`, 'threePointPct': `${threePointPct}%`, 'totalShots': analytics.totalActions || analytics.totalShots };
+        const pace = this.engine.getPossessionRatings(this.currentGame).pace;
+        const elements = { 'teamShootingPct': `${shootingPct}%`, 'threePointPct': `${threePointPct}%`, 'totalShots': analytics.totalActions || analytics.totalShots, 'paceValue': this.formatAnalyticsValue(pace, 'rating') };
         Object.entries(elements).forEach(([id, value]) => { const el = document.getElementById(id); if (el) el.textContent = value; });
+        // The tables are only rebuilt while someone is looking at them; switching to the tab redraws them.
+        if (!this.isTabActive('analytics')) return;
+        const report = this.gameAnalytics.compute(this.currentGame);
+        this.renderAnalyticsTable('teamAnalyticsTable', 'teams', Object.values(report.teams));
+        this.renderAnalyticsTable('playerAnalyticsTable', 'players', report.players);
+        this.updateZoneSubjectSelect();
+        this.renderAnalyticsTable('zoneAnalyticsTable', 'zones', report.zones[this.analyticsZoneSubject] || report.zones.home);
+    }
+    formatAnalyticsValue(value, format) {
+        if (format === 'text') return value;
+        if (value === null || value === undefined) return '–';
+        if (format === 'pct') return `${(value * 100).toFixed(1)}%`;
+        if (format === 'ratio') return value.toFixed(2);
+        if (format === 'rating') return value.toFixed(1);
+        if (format === 'minutes') return this.exporter.formatMinutes(value);
+        return value;
+    }
+    /** Blank values always sort last, whichever way the column is sorted. Cells are set as text since rows carry player and team names. */
+    renderAnalyticsTable(containerId, tableKey, rows) {
+        const container = document.getElementById(containerId); if (!container) return;
+        const { columns, sort: defaultKey } = ANALYTICS_TABLES[tableKey];
+        const sort = this.analyticsSort[tableKey] || { key: defaultKey, descending: true };
+        const sorted = [...rows].sort((a, b) => {
+            const x = a[sort.key], y = b[sort.key];
+            if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+            if (y === null || y === undefined) return -1;
+            const order = typeof x === 'string' ? x.localeCompare(y, undefined, { numeric: true }) : x - y;
+            return sort.descending ? -order : order;
+        });
+        const table = document.createElement('table'); table.className = 'analytics-table';
+        const headerRow = table.createTHead().insertRow();
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.dataset.table = tableKey; th.dataset.sortKey = column.key; th.textContent = column.label;
+            if (column.key === sort.key) th.className = `sorted ${sort.descending ? 'desc' : 'asc'}`;
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        sorted.forEach(row => { const tr = body.insertRow(); columns.forEach(column => { tr.insertCell().textContent = this.formatAnalyticsValue(row[column.key], column.format); }); });
+        container.innerHTML = ''; container.appendChild(table);
+    }
+    sortAnalyticsTable(tableKey, key) {
+        const current = this.analyticsSort[tableKey] || { key: ANALYTICS_TABLES[tableKey].sort, descending: true };
+        // Names read best A-Z first; numbers best highest first.
+        const textColumn = ANALYTICS_TABLES[tableKey].columns.find(column => column.key === key).format === 'text';
+        this.analyticsSort[tableKey] = current.key === key ? { key, descending: !current.descending } : { key, descending: !textColumn };
+        this.updateAnalytics();
     }
-    addPlayByPlayEvent(message) {
+    updateZoneSubjectSelect() {
+        const select = document.getElementById('zoneSplitSubject'); if (!select) return;
+        const { teams } = this.currentGame;
+        select.innerHTML = '';
+        ['home', 'away'].forEach(team => select.appendChild(this.createOptionGroup(teams[team].name, [new Option('Team total', team), ...teams[team].players.map(p => new Option(`#${p.number} ${p.name}`, p.id))])));
+        if (![...select.options].some(option => option.value === this.analyticsZoneSubject)) this.analyticsZoneSubject = 'home';
+        select.value = this.analyticsZoneSubject;
+    }
+    setupAnalyticsEvents() {
+        const tab = document.getElementById('analyticsTab'); if (!tab) return;
+        tab.addEventListener('click', (e) => { const th = e.target.closest('th[data-sort-key]'); if (th) this.sortAnalyticsTable(th.dataset.table, th.dataset.sortKey); });
+        const select = document.getElementById('zoneSplitSubject');
+        if (select) select.addEventListener('change', () => { this.analyticsZoneSubject = select.value; this.updateAnalytics(); });
+    }
+    addPlayByPlayEvent(message, eventId = null) {
         if (!this.currentGame) return;
         const event = { message, time: this.formatTime(this.currentGame.gameState.gameTime), period: this.currentGame.gameState.period, timestamp: Date.now() };
+        if (eventId) event.eventId = eventId;
         this.currentGame.playByPlay.unshift(event);
         if (this.currentGame.playByPlay.length > 50) this.currentGame.playByPlay = this.currentGame.playByPlay.slice(0, 50);
         this.updatePlayByPlayDisplay();
+        this.publishSync('feed', event);
     }
     updatePlayByPlayDisplay() {
         const container = document.getElementById('playByPlay'); if (!container || !this.currentGame || !this.currentGame.playByPlay) return;
-        container.innerHTML = this.currentGame.playByPlay.map(event => `<div class="feed-item ${event.message.includes('makes') ? 'highlight' : ''}">${event.period}Q ${event.time} - ${event.message}</div>`).join('');
+        const effective = new Map(this.engine.resolveEvents(this.currentGame.events || []).map(event => [event.id, event]));
+        container.innerHTML = '';
+        this.currentGame.playByPlay.forEach(event => {
+            const classes = ['feed-item'];
+            if (event.message.includes('makes')) classes.push('highlight');
+            if (event.eventId) {
+                const target = effective.get(event.eventId);
+                if (!target) classes.push('voided');
+                else { if (this.isAdmin && ['shot', 'stat', 'foul'].includes(target.type)) classes.push('editable'); if (target.corrected) classes.push('corrected'); }
+            }
+            container.appendChild(this.createFeedItem(`${event.period}Q ${event.time} - ${event.message}`, classes, event.eventId));
+        });
+        this.updateActionLogDisplay();
+    }
+    /** Lists every editable action in the log, newest first, since the feed only keeps the latest 50 messages. */
+    updateActionLogDisplay() {
+        const section = document.getElementById('actionLog'); const list = document.getElementById('actionLogList'); if (!section || !list) return;
+        section.classList.toggle('hidden', !this.isAdmin || !this.currentGame);
+        list.innerHTML = '';
+        if (!this.isAdmin || !this.currentGame) return;
+        const actions = this.engine.resolveEvents(this.currentGame.events || []).filter(event => ['shot', 'stat', 'foul'].includes(event.type)).reverse();
+        if (!actions.length) { list.appendChild(this.createFeedItem('No actions recorded yet')); return; }
+        actions.forEach(event => list.appendChild(this.createFeedItem(`${this.exporter.getPeriodLabel(this.currentGame, event.period)} ${event.gameClock || ''} - ${this.engine.describeEvent(event, this.currentGame)}`, ['feed-item', 'editable', ...(event.corrected ? ['corrected'] : [])], event.id)));
+    }
+    /** Feed lines carry player and team names, so they are set as text rather than markup. */
+    createFeedItem(text, classes = ['feed-item'], eventId = null) {
+        const item = document.createElement('div');
+        item.className = classes.join(' ');
+        if (eventId) item.dataset.eventId = eventId;
+        item.textContent = text;
+        return item;
     }
     switchTab(tabName) {
         document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tabName));
         document.querySelectorAll('.tab-content').forEach(content => content.classList.toggle('active', content.id === `${tabName}Tab`));
-        if (tabName === 'feed') this.updatePlayByPlayDisplay(); else if (tabName === 'analytics') this.updateAnalytics();
+        if (tabName === 'feed') this.updatePlayByPlayDisplay(); else if (tabName === 'analytics') this.updateAnalytics(); else if (tabName === 'lineups') this.updateLineupsPanel();
+    }
+    updateAllDisplays() { this.updateClockDisplays(); this.updateScoreDisplays(); this.updateStatusDisplays(); this.updateTeamDisplays(); this.updateQuickStatsVisibility(); this.updateGameTypeLayout(); this.runBreakCountdown(); }
+    /** Tags the app with the game type for type-specific styling, and relabels shot values and the target for games to a score. */
+    updateGameTypeLayout() {
+        if (!this.currentGame) return;
+        const type = this.engine.getGameType(this.currentGame);
+        document.getElementById('app').dataset.gameType = this.currentGame.type;
+        document.querySelectorAll('.quick-stat-btn[data-stat="fg2"], .quick-stat-btn[data-stat="fg3"]').forEach(btn => { btn.textContent = `+${this.engine.pointsForBucket(btn.dataset.stat, this.currentGame)}`; });
+        ['fg2', 'fg3'].forEach(bucket => { const option = document.querySelector(`#editActionBucket option[value="${bucket}"]`); if (option) option.textContent = `${this.engine.pointsForBucket(bucket, this.currentGame)}-pointer (${bucket === 'fg3' ? 'behind' : 'inside'} the arc)`; });
+        const target = document.getElementById('viewerGameTarget'); if (!target) return;
+        target.classList.toggle('hidden', !type.winningScore);
+        if (type.winningScore) target.textContent = this.isUntimedPeriod() ? `Overtime: first to ${type.overtimeWinningPoints} points` : `Game to ${type.winningScore}`;
     }
-    updateAllDisplays() { this.updateClockDisplays(); this.updateScoreDisplays(); this.updateStatusDisplays(); this.updateTeamDisplays(); this.updateQuickStatsVisibility(); }
     updateClockDisplays() {
         if (!this.currentGame) return;
-        const gameTime = this.formatTime(this.currentGame.gameState.gameTime);
-        const shotClock = this.currentGame.gameState.shotClock;
+        const gameTime = this.isUntimedPeriod() ? 'OT' : this.formatClock(this.currentGame.gameState.gameTime);
+        const shotClock = Math.ceil(this.currentGame.gameState.shotClock);
+        const shotClockOff = this.isShotClockOff();
         ['gameClockDisplay', 'viewerGameClock'].forEach(id => { const el = document.getElementById(id); if (el) el.textContent = gameTime; });
-        ['shotClockDisplay', 'viewerShotClock'].forEach(id => { const el = document.getElementById(id); if (el) el.textContent = shotClock; });
+        ['shotClockDisplay', 'viewerShotClock'].forEach(id => { const el = document.getElementById(id); if (el) { el.textContent = shotClockOff ? '--' : shotClock; el.classList.toggle('off', shotClockOff); if (shotClockOff) { el.classList.remove('warning', 'danger'); return; } el.classList.remove('warning', 'danger'); if (this.currentGame.status === 'live' && shotClock <= 5) el.classList.add('danger'); else if (this.currentGame.status === 'live' && shotClock <= 10) el.classList.add('warning'); } });
     }
     updateScoreDisplays() {
         if (!this.currentGame) return;
@@ -1096,6 +3950,13 @@ class BasketballGameManagerPro {
         ['awayScore', 'viewerAwayScore'].forEach(id => { const el = document.getElementById(id); if (el) el.textContent = awayScore; });
         const updates = { 'homeFouls': this.currentGame.gameState.fouls.home, 'awayFouls': this.currentGame.gameState.fouls.away, 'homeTimeouts': this.currentGame.gameState.timeouts.home, 'awayTimeouts': this.currentGame.gameState.timeouts.away, 'viewerHomeFouls': this.currentGame.gameState.fouls.home, 'viewerAwayFouls': this.currentGame.gameState.fouls.away, 'viewerHomeTimeouts': this.currentGame.gameState.timeouts.home, 'viewerAwayTimeouts': this.currentGame.gameState.timeouts.away };
         Object.entries(updates).forEach(([id, value]) => { const el = document.getElementById(id); if (el) el.textContent = value; });
+        const penalty = this.currentGame.gameState.penalty || {};
+        ['home', 'away'].forEach(team => {
+            const opponent = team === 'home' ? 'away' : 'home';
+            [`${team}Fouls`, `viewer${team === 'home' ? 'Home' : 'Away'}Fouls`].forEach(id => { const el = document.getElementById(id); if (el) el.classList.toggle('in-penalty', !!penalty[team]); });
+            [`${opponent}Bonus`, `viewer${opponent === 'home' ? 'Home' : 'Away'}Bonus`].forEach(id => { const el = document.getElementById(id); if (el) el.classList.toggle('hidden', !penalty[team]); });
+        });
+        this.updatePossessionDisplays();
     }
     updateStatusDisplays() {
         if (!this.currentGame) return;
@@ -1110,49 +3971,229 @@ class BasketballGameManagerPro {
         const { home: homeTeam, away: awayTeam } = this.currentGame.teams;
         ['homeTeamTitle', 'viewerHomeName'].forEach(id => { const el = document.getElementById(id); if (el) el.textContent = homeTeam.name; });
         ['awayTeamTitle', 'viewerAwayName'].forEach(id => { const el = document.getElementById(id); if (el) el.textContent = awayTeam.name; });
+        [['homeTeamLogoDisplay', homeTeam], ['viewerHomeLogo', homeTeam], ['awayTeamLogoDisplay', awayTeam], ['viewerAwayLogo', awayTeam]].forEach(([id, team]) => { const el = document.getElementById(id); if (!el) return; const logo = this.getTeamLogo(team); el.classList.toggle('hidden', !logo); if (logo) el.src = logo; });
         const quickHomeTab = document.getElementById('quickHomeTab'); if (quickHomeTab) quickHomeTab.textContent = homeTeam.name.slice(0, 8);
         const quickAwayTab = document.getElementById('quickAwayTab'); if (quickAwayTab) quickAwayTab.textContent = awayTeam.name.slice(0, 8);
         const courtHomeTab = document.getElementById('courtHomeTab'); if (courtHomeTab) courtHomeTab.textContent = homeTeam.name.slice(0, 8);
         const courtAwayTab = document.getElementById('courtAwayTab'); if (courtAwayTab) courtAwayTab.textContent = awayTeam.name.slice(0, 8);
         const gameNameEl = document.getElementById('gameName'); if (gameNameEl && this.currentGame.name) gameNameEl.value = this.currentGame.name;
-        if (this.currentGame.type === 'professional') { this.updatePlayersList('home'); this.updatePlayersList('away'); this.updatePlayerSelects(); }
+        if (this.engine.getGameType(this.currentGame).playerStats) { this.updatePlayersList('home'); this.updatePlayersList('away'); this.updatePlayerSelects(); }
     }
-    updateQuickStatsVisibility() { const el = document.getElementById('quickStatsSection'); if (el) el.style.display = this.currentGame && this.currentGame.type === 'professional' && this.isAdmin ? 'block' : 'none'; }
+    updateQuickStatsVisibility() { const el = document.getElementById('quickStatsSection'); if (el) el.style.display = this.currentGame && this.engine.getGameType(this.currentGame).playerStats && this.isAdmin ? 'block' : 'none'; }
     updateGameCodeDisplays() { if (!this.currentGameCode) return; ['currentGameCode', 'configGameCode', 'playerGameCode', 'controllerGameCode', 'viewerGameCode'].forEach(id => { const el = document.getElementById(id); if (el) el.textContent = this.currentGameCode; }); }
-    formatTime(seconds) { const minutes = Math.floor(seconds / 60); const secs = seconds % 60; return `${minutes}:${secs.toString().padStart(2, '0')}`; }
+    formatTime(seconds) { const whole = Math.floor(seconds); const minutes = Math.floor(whole / 60); const secs = whole % 60; return `${minutes}:${secs.toString().padStart(2, '0')}`; }
+    /** Scoreboard format: m:ss, switching to seconds and tenths in the final minute. */
+    formatClock(seconds) {
+        if (seconds >= 60) return this.formatTime(seconds);
+        return (Math.floor(Math.max(0, seconds) * 10) / 10).toFixed(1);
+    }
     getPeriodName(period = null) {
         if (!this.currentGame) return '1st Quarter';
         const p = period || this.currentGame.gameState.period;
         const format = this.currentGame.settings.gameFormat;
         if (format === 'quarters') { const names = ['1st Quarter', '2nd Quarter', '3rd Quarter', '4th Quarter']; return names[p - 1] || `OT${p - 4}`; }
+        else if (format === 'single') return p === 1 ? 'Regulation' : `OT${p - 1}`;
         else { const names = ['1st Half', '2nd Half']; return names[p - 1] || `OT${p - 2}`; }
     }
     showError(message) { const el = document.getElementById('joinError'); if (el) { el.textContent = message; el.style.color = 'var(--color-error)'; } }
     clearError() { const el = document.getElementById('joinError'); if (el) el.textContent = ''; }
-    saveGame() { if (!this.currentGame || !this.currentGameCode) return; try { this.currentGame.lastUpdated = new Date().toISOString(); localStorage.setItem(`game_${this.currentGameCode}`, JSON.stringify(this.currentGame)); } catch (e) { console.error('Error saving game:', e); } }
+    saveGame() {
+        if (!this.currentGame || !this.currentGameCode) return;
+        try { this.currentGame.lastUpdated = new Date().toISOString(); localStorage.setItem(`game_${this.currentGameCode}`, JSON.stringify(this.currentGame)); this.storageFullWarned = false; }
+        catch (e) {
+            console.error('Error saving game:', e);
+            // Saves run on every action, so the scorer is told once until a save succeeds again.
+            if (!this.storageFullWarned) { this.storageFullWarned = true; this.showAlert('Game Not Saved', 'Browser storage is full, so the latest changes are not saved. Delete old games or team logos to free space.', 'error'); }
+        }
+        // Events, feed lines, the clock and the score reach viewers as they happen. The whole game only goes out
+        // when something else they show (teams, settings, status) changed, or when a viewer asks for it.
+        if (this.getPublishedSignature() !== this.publishedSignature) this.publishGame();
+    }
+    getPublishedSignature() { const { name, status, settings, teams } = this.currentGame; return JSON.stringify([name, status, settings, teams]); }
     loadActiveGames() {
         const gamesList = document.getElementById('activeGamesList'); if (!gamesList) return;
-        const games = [];
-        try { for (let i = 0; i < localStorage.length; i++) { const key = localStorage.key(i); if (key && key.startsWith('game_')) { const gameData = localStorage.getItem(key); if (gameData) games.push(JSON.parse(gameData)); } } } catch (e) { console.error('Error loading games:', e); }
+        const games = this.getStoredGames();
         if (games.length === 0) { gamesList.innerHTML = '<div class="no-games">No active games found</div>'; return; }
         games.sort((a, b) => new Date(b.lastUpdated || b.created) - new Date(a.lastUpdated || a.created));
         gamesList.innerHTML = games.map(game => `<div class="game-item"><div class="game-info"><h4>${game.name || 'Basketball Game'}</h4><div class="game-details">${game.teams.home.name} vs ${game.teams.away.name} • Status: ${game.status.charAt(0).toUpperCase() + game.status.slice(1)} • Type: ${game.type.charAt(0).toUpperCase() + game.type.slice(1)} • Actions: ${game.shots ? game.shots.length : 0}</div></div><div class="game-actions"><span class="game-code-badge">${game.code}</span></div></div>`).join('');
     }
-    startGameUpdates() { this.gameUpdateInterval = setInterval(() => { if (this.currentGameCode && !this.isAdmin) this.refreshGameData(); }, 2000); }
+    getStoredGames() {
+        const games = [];
+        try { for (let i = 0; i < localStorage.length; i++) { const key = localStorage.key(i); if (key && key.startsWith('game_')) { const gameData = localStorage.getItem(key); if (gameData) games.push(JSON.parse(gameData)); } } } catch (e) { console.error('Error loading games:', e); }
+        return games;
+    }
+    startGameUpdates() { this.gameUpdateInterval = setInterval(() => { if (this.currentGameCode && !this.isAdmin && (!this.syncChannel || this.syncChannel.needsPolling)) this.refreshGameData(); }, 2000); }
+    // --- LIVE SYNC ---
+    openSyncChannel() {
+        if (this.syncChannel && this.syncChannel.code === this.currentGameCode) return;
+        this.closeSyncChannel();
+        if (!this.currentGameCode) return;
+        // A controller that (re)connects to the relay republishes the whole game for anyone who joined meanwhile.
+        this.syncChannel = new GameSyncChannel(this.currentGameCode, (message) => this.handleSyncMessage(message), (transport) => { if (transport.name === 'relay' && this.currentGame) { this.publishGame(); this.publishLogos(); } });
+        if (!this.isAdmin) this.syncChannel.onGap = () => this.requestResync();
+        this.syncChannel.addTransport(GameSyncChannel.createLocalTransport(this.currentGameCode));
+        const relayUrl = this.getRelayUrl();
+        if (relayUrl && WebSocketSyncTransport.isSupported()) {
+            const transport = new WebSocketSyncTransport(relayUrl, this.currentGameCode, this.isAdmin ? 'controller' : 'viewer', this.isAdmin && this.currentGame ? this.currentGame.adminPassword : null, this.isAdmin ? this.getRelayKey() : null);
+            if (this.isAdmin) transport.onRefused = () => this.showAlert('Live Relay Refused', 'The relay did not accept this device as the controller. Check the relay key, or whether this game code is already claimed on the relay with another password. Viewers on other devices will not see updates.', 'error');
+            this.syncChannel.addTransport(transport);
+        }
+    }
+    getRelayUrl() {
+        const fromUrl = new URLSearchParams(window.location.search).get('relay');
+        if (fromUrl) return fromUrl;
+        try { return localStorage.getItem('bgm_relay_url') || ''; } catch (e) { return ''; }
+    }
+    /** The relay key is only for scorers, so unlike the address it is never put in viewer links. */
+    getRelayKey() { try { return localStorage.getItem('bgm_relay_key') || ''; } catch (e) { return ''; } }
+    saveRelayKey(key) {
+        const value = key.trim();
+        try { if (value) localStorage.setItem('bgm_relay_key', value); else localStorage.removeItem('bgm_relay_key'); } catch (e) { console.error('Error saving relay key:', e); }
+        if (this.syncChannel && this.isAdmin) { this.closeSyncChannel(); this.openSyncChannel(); }
+    }
+    saveRelayUrl(url) {
+        const value = url.trim();
+        if (value && !/^wss?:\/\/.+/i.test(value)) { this.showAlert('Invalid Relay Address', 'The relay address must start with ws:// or wss://.', 'warning'); return; }
+        try { if (value) localStorage.setItem('bgm_relay_url', value); else localStorage.removeItem('bgm_relay_url'); } catch (e) { console.error('Error saving relay address:', e); }
+        if (this.syncChannel) { this.closeSyncChannel(); this.openSyncChannel(); }
+    }
+    getViewerUrl() {
+        const url = new URL(`${window.location.origin}${window.location.pathname}`);
+        url.searchParams.set('code', this.currentGameCode); url.searchParams.set('mode', 'viewer');
+        const relayUrl = this.getRelayUrl(); if (relayUrl) url.searchParams.set('relay', relayUrl);
+        return url.toString();
+    }
+    /** Viewers on another device have no local copy of the game, so they wait for the relay's snapshot. */
+    joinRemoteGame(code) {
+        this.cancelRemoteJoin();
+        this.currentGame = null; this.currentGameCode = code; this.isAdmin = false;
+        this.openSyncChannel();
+        this.pendingRemoteJoin = setTimeout(() => { this.pendingRemoteJoin = null; this.closeSyncChannel(); this.showAlert('Game Not Found', 'The relay has no live game with this code. Check the code and that the controller is connected.', 'error'); }, 8000);
+        this.showError('Connecting to live relay...');
+    }
+    cancelRemoteJoin() { if (this.pendingRemoteJoin) { clearTimeout(this.pendingRemoteJoin); this.pendingRemoteJoin = null; } }
+    completeRemoteJoin(game) {
+        this.cancelRemoteJoin();
+        this.currentGame = this.exporter.normalizeGame(game);
+        this.updateGameCodeDisplays(); this.clearError(); this.hidePasswordField();
+        this.switchPage('viewer'); this.updateAllDisplays(); this.loadExistingActions();
+    }
+    closeSyncChannel() { if (this.syncChannel) { this.syncChannel.close(); this.syncChannel = null; } }
+    publishSync(type, payload) { if (this.syncChannel && this.isAdmin) this.syncChannel.publish(type, payload); }
+    publishClock() {
+        const { gameTime, shotClock, period, breakClock = null } = this.currentGame.gameState; this.lastClockPublish = this.monotonicNow();
+        // The break is sent as seconds left, since its end time is on this device's clock.
+        const breakPayload = breakClock && { label: breakClock.label, warning: breakClock.warning, remaining: Math.max(0, breakClock.endsAt - Date.now()) / 1000 };
+        this.publishSync('clock', { gameTime, shotClock, period, breakClock: breakPayload, status: this.currentGame.status });
+    }
+    publishScore() { const { scores, fouls, penalty, timeouts, possession, possessionArrow } = this.currentGame.gameState; this.publishSync('score', { scores, fouls, penalty, timeouts, possession, possessionArrow }); }
+    publishAction(action) { this.publishSync('action', action); }
+    publishGame() { this.publishedSignature = this.getPublishedSignature(); this.publishSync('game', this.currentGame); }
+    publishEvent(event) { this.publishSync('event', event); }
+    /** Viewers that missed updates ask for the whole game; asks are spaced out so a flaky link can't flood the controller. */
+    requestResync() {
+        const now = this.monotonicNow();
+        if (this.isAdmin || !this.syncChannel || now - this.lastResyncRequest < 3000) return;
+        this.lastResyncRequest = now;
+        this.syncChannel.publish('resync', null);
+    }
+    /** Logos are large, so they go out on their own: when a viewer may have just joined and when one changes. */
+    publishLogos() { if (this.currentGame) this.publishSync('logos', this.getGameLogos()); }
+    handleSyncMessage(message) {
+        if (this.isAdmin) { if (message.type === 'resync' && this.currentGame) { this.publishGame(); this.publishLogos(); } return; }
+        // Logos can arrive before the game they belong to, so they are kept whether or not a game is showing yet.
+        if (message.type === 'logos') { Object.assign(this.remoteLogos, message.payload || {}); if (this.currentGame) this.updateTeamDisplays(); return; }
+        if (!this.currentGame) { if (this.pendingRemoteJoin && message.type === 'game') this.completeRemoteJoin(message.payload); return; }
+        const { type, payload } = message;
+        // Updates build on the game they arrive after, so a snapshot still waiting for the next frame is drawn first.
+        if (type !== 'game') this.flushGameSnapshot();
+        if (type === 'clock') {
+            // Transit time is estimated from the sender's timestamp, capped so a skewed device clock can't throw the display off.
+            const latency = Math.min(1000, Math.max(0, Date.now() - message.sentAt));
+            this.lastClockSync = { ...payload, sentAt: message.sentAt, receivedAt: this.monotonicNow() - latency };
+            const breakClock = payload.breakClock ? this.receiveBreakClock(payload.breakClock, latency) : null;
+            Object.assign(this.currentGame.gameState, { gameTime: payload.gameTime, shotClock: payload.shotClock, period: payload.period, breakClock });
+            this.currentGame.status = payload.status;
+            this.updateClockDisplays();
+            this.syncViewerClock();
+            this.runBreakCountdown();
+        } else if (type === 'score') {
+            Object.assign(this.currentGame.gameState, { scores: payload.scores, fouls: payload.fouls, penalty: payload.penalty, timeouts: payload.timeouts, possession: payload.possession, possessionArrow: payload.possessionArrow });
+            this.updateScoreDisplays();
+        } else if (type === 'action') {
+            if (!this.currentGame.shots.some(shot => shot.id === payload.id)) this.currentGame.shots.push(payload);
+            this.loadExistingActions();
+        } else if (type === 'alert') {
+            if (payload.kind === 'shotClock') this.playBuzzer();
+            this.showViewerNotice(payload.message);
+        } else if (type === 'event') {
+            if (this.currentGame.events.some(event => event.id === payload.id)) return;
+            this.currentGame.events.push(payload);
+            this.engine.apply(this.currentGame);
+            this.updateAllDisplays(); this.loadExistingActions(); this.updatePlayByPlayDisplay(); this.updateAnalytics();
+        } else if (type === 'feed') {
+            this.currentGame.playByPlay.unshift(payload);
+            if (this.currentGame.playByPlay.length > 50) this.currentGame.playByPlay = this.currentGame.playByPlay.slice(0, 50);
+            this.updatePlayByPlayDisplay();
+        } else if (type === 'game') {
+            this.queueGameSnapshot(payload);
+        }
+    }
+    /** Rebuilds a received break countdown on this device's clock from the seconds it had left when sent. */
+    receiveBreakClock(breakClock, latency) {
+        const current = this.currentGame && this.currentGame.gameState.breakClock;
+        return { label: breakClock.label, warning: breakClock.warning, endsAt: Date.now() - latency + breakClock.remaining * 1000, warned: !!(current && current.label === breakClock.label && current.warned) };
+    }
+    /** Viewers run the clock locally from the last clock message, so it counts smoothly between messages. */
+    syncViewerClock() {
+        const live = this.currentGame && this.currentGame.status === 'live' && this.lastClockSync;
+        if (!live) { if (this.viewerClockInterval) { clearInterval(this.viewerClockInterval); this.viewerClockInterval = null; } return; }
+        if (this.viewerClockInterval) return;
+        this.viewerClockInterval = setInterval(() => {
+            const sync = this.lastClockSync;
+            if (!this.currentGame || this.currentGame.status !== 'live' || !sync) { this.syncViewerClock(); return; }
+            const elapsed = (this.monotonicNow() - sync.receivedAt) / 1000;
+            const gameTime = Math.max(0, sync.gameTime - elapsed);
+            const shotClockOff = !this.isUntimedPeriod() && sync.shotClock > sync.gameTime;
+            Object.assign(this.currentGame.gameState, { gameTime, shotClock: shotClockOff ? sync.shotClock : Math.max(0, sync.shotClock - elapsed) });
+            this.updateClockDisplays();
+        }, 100);
+    }
+    /** Several saves can land in one frame (a basket saves twice); only the newest snapshot is drawn. */
+    queueGameSnapshot(game) {
+        const pending = !!this.pendingSnapshot;
+        this.pendingSnapshot = game;
+        if (pending) return;
+        requestAnimationFrame(() => this.flushGameSnapshot());
+    }
+    flushGameSnapshot() { const snapshot = this.pendingSnapshot; this.pendingSnapshot = null; if (snapshot) this.applyGameSnapshot(snapshot); }
+    applyGameSnapshot(game) {
+        if (!game || game.lastUpdated === this.currentGame?.lastUpdated) return;
+        // Updates can arrive out of order across transports; never step back to an older save.
+        if (this.currentGame?.lastUpdated && Date.parse(game.lastUpdated) < Date.parse(this.currentGame.lastUpdated)) return;
+        // Clock ticks are not saved, so a snapshot can be older than the last tick already shown.
+        if (this.lastClockSync && this.lastClockSync.sentAt > Date.parse(game.lastUpdated) && game.status === 'live') {
+            Object.assign(game.gameState, { gameTime: this.lastClockSync.gameTime, shotClock: this.lastClockSync.shotClock, period: this.lastClockSync.period });
+        }
+        // A saved break ends at a time on the controller's clock; once clock messages arrive, keep the countdown rebuilt from them.
+        if (this.lastClockSync && this.currentGame) game.gameState.breakClock = this.currentGame.gameState.breakClock || null;
+        CourtStandards.registerAll(game.settings.customCourts);
+        this.currentGame = game; this.updateAllDisplays(); this.loadExistingActions(); this.updatePlayByPlayDisplay(); this.updateAnalytics();
+    }
     refreshGameData() {
         if (!this.currentGameCode) return;
         try {
             const gameData = localStorage.getItem(`game_${this.currentGameCode}`);
             if (gameData) {
                 const updatedGame = JSON.parse(gameData);
-                if (updatedGame.lastUpdated !== this.currentGame?.lastUpdated) { this.currentGame = updatedGame; this.updateAllDisplays(); this.loadExistingActions(); this.updatePlayByPlayDisplay(); this.updateAnalytics(); }
+                this.applyGameSnapshot(updatedGame);
             }
         } catch (e) { console.error('Error refreshing game data:', e); }
     }
-    openViewerWindow() { if (!this.currentGameCode) return; const url = `${window.location.origin}${window.location.pathname}?code=${this.currentGameCode}&mode=viewer`; window.open(url, '_blank'); }
+    openViewerWindow() { if (!this.currentGameCode) return; window.open(this.getViewerUrl(), '_blank'); }
     copyViewerUrl() {
         if (!this.currentGameCode) return;
-        const url = `${window.location.origin}${window.location.pathname}?code=${this.currentGameCode}&mode=viewer`;
+        const url = this.getViewerUrl();
         navigator.clipboard.writeText(url).then(() => { this.showAlert('URL Copied!', 'Viewer URL copied to clipboard.', 'success'); }).catch(() => { prompt('Copy this URL:', url); });
     }
     toggleFullscreen() {
@@ -0,0 +1,232 @@
+// Basketball Game Manager Pro - Live Relay Server
+// A tiny WebSocket relay that lets a controller share a game with viewers on other devices.
+// It has no dependencies: run it with `node relay-server.js [port]` (default 8787) on the
+// scorer's laptop, then open http://<laptop-ip>:<port>/ on any device on the same network.
+//
+// Protocol (JSON text frames):
+//   client -> relay  { kind: 'join', code, role: 'controller' | 'viewer', password?, relayKey? }
+//   client -> relay  { kind: 'publish', message }        (controllers only)
+//   client -> relay  { kind: 'resync' }                  (viewers: asks the controllers to resend the game)
+//   relay -> client  { kind: 'joined', code, viewers }
+//   relay -> client  { kind: 'message', message }
+// The relay keeps the last full game and the last set of team logos per code while anyone is connected
+// to it, so late joiners get a snapshot straight away.
+//
+// Controllers must send the game's admin password, and only connections that joined as a controller
+// may publish. A code is claimed by the first controller that also sends the relay key, which is printed
+// at startup (or set with RELAY_KEY) so only the relay's operator can hand out games. The claim binds a
+// hash of the password to the room; later controllers with a different password are refused.
+//
+// Passwords travel in the join message, so over plain ws:// anyone on the network can read them. Keep
+// ws:// to a trusted local network; anywhere else set RELAY_TLS_CERT and RELAY_TLS_KEY to PEM files so
+// the relay serves https:// and wss://.
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT) || 8787;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 8 * 1024 * 1024;
+const HEARTBEAT_MS = 30000;
+const JOIN_TIMEOUT_MS = 10000;
+const RESYNC_INTERVAL_MS = 3000;
+const RELAY_KEY = process.env.RELAY_KEY || crypto.randomBytes(6).toString('hex');
+const TLS = process.env.RELAY_TLS_CERT && process.env.RELAY_TLS_KEY ? { cert: fs.readFileSync(process.env.RELAY_TLS_CERT), key: fs.readFileSync(process.env.RELAY_TLS_KEY) } : null;
+const STATIC_FILES = { '/': 'index.html', '/index.html': 'index.html', '/app.js': 'app.js', '/style.css': 'style.css' };
+const CONTENT_TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8' };
+
+// code -> { clients: Set<Connection>, snapshot: message | null, logos: message | null, controllerKey: Buffer | null }
+const rooms = new Map();
+// Every open connection, joined or not, so the heartbeat reaches all of them.
+const connections = new Set();
+
+/**
+ * @class Connection
+ * One WebSocket client. Implements just enough of RFC 6455 for the relay: text frames,
+ * fragmentation, ping/pong and close.
+ */
+class Connection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.code = null;
+        this.role = null;
+        this.alive = true;
+        this.lastResync = 0;
+        connections.add(this);
+        // A socket that never joins a game is dropped rather than held open.
+        this.joinTimer = setTimeout(() => { if (!this.code) this.close(1008); }, JOIN_TIMEOUT_MS);
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('close', () => { clearTimeout(this.joinTimer); connections.delete(this); leaveRoom(this); });
+        socket.on('error', () => this.socket.destroy());
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let frame;
+        while ((frame = this.readFrame())) this.onFrame(frame);
+    }
+
+    readFrame() {
+        const buf = this.buffer;
+        if (buf.length < 2) return null;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) { if (buf.length < 4) return null; length = buf.readUInt16BE(2); offset = 4; }
+        else if (length === 127) { if (buf.length < 10) return null; length = Number(buf.readBigUInt64BE(2)); offset = 10; }
+        if (length > MAX_MESSAGE_BYTES) { this.buffer = Buffer.alloc(0); this.fragments = []; this.socket.destroy(); return null; }
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buf.length < offset + length) return null;
+        const payload = Buffer.from(buf.subarray(offset, offset + length));
+        if (masked) for (let i = 0; i < payload.length; i++) payload[i] ^= buf[maskOffset + (i % 4)];
+        this.buffer = buf.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    onFrame({ fin, opcode, payload }) {
+        if (opcode === 0x8) { this.close(1000); return; }
+        if (opcode === 0x9) { this.writeFrame(0xa, payload); return; }
+        if (opcode === 0xa) { this.alive = true; return; }
+        if (opcode === 0x1 || opcode === 0x0) {
+            this.fragments.push(payload);
+            if (!fin) return;
+            const text = Buffer.concat(this.fragments).toString('utf8');
+            this.fragments = [];
+            let data;
+            try { data = JSON.parse(text); } catch (e) { return; }
+            handleClientMessage(this, data);
+        }
+    }
+
+    writeFrame(opcode, payload) {
+        if (this.socket.destroyed) return;
+        const length = payload.length;
+        let header;
+        if (length < 126) { header = Buffer.from([0x80 | opcode, length]); }
+        else if (length < 65536) { header = Buffer.alloc(4); header[0] = 0x80 | opcode; header[1] = 126; header.writeUInt16BE(length, 2); }
+        else { header = Buffer.alloc(10); header[0] = 0x80 | opcode; header[1] = 127; header.writeBigUInt64BE(BigInt(length), 2); }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(data) { this.writeFrame(0x1, Buffer.from(JSON.stringify(data), 'utf8')); }
+
+    close(code) {
+        const payload = Buffer.alloc(2); payload.writeUInt16BE(code, 0);
+        this.writeFrame(0x8, payload);
+        this.socket.end();
+    }
+}
+
+function getRoom(code) {
+    if (!rooms.has(code)) rooms.set(code, { clients: new Set(), snapshot: null, logos: null, controllerKey: null });
+    return rooms.get(code);
+}
+
+function leaveRoom(connection) {
+    if (!connection.code) return;
+    const room = rooms.get(connection.code);
+    if (room) {
+        room.clients.delete(connection);
+        if (room.clients.size === 0) rooms.delete(connection.code);
+    }
+    connection.code = null;
+}
+
+function controllerKey(code, password) { return crypto.createHash('sha256').update(`${code}:${password}`).digest(); }
+
+function isRelayKey(value) {
+    if (typeof value !== 'string' || !value) return false;
+    const hash = (text) => crypto.createHash('sha256').update(text).digest();
+    return crypto.timingSafeEqual(hash(value), hash(RELAY_KEY));
+}
+
+/**
+ * A controller join is accepted when its password matches the one bound to the room. An unclaimed room
+ * is bound only by a controller that also holds the relay key.
+ */
+function authorizeController(room, code, password, relayKey) {
+    if (typeof password !== 'string' || !password) return false;
+    const key = controllerKey(code, password);
+    if (room.controllerKey) return crypto.timingSafeEqual(room.controllerKey, key);
+    if (!isRelayKey(relayKey)) return false;
+    room.controllerKey = key;
+    return true;
+}
+
+function handleClientMessage(connection, data) {
+    if (data.kind === 'join') {
+        if (typeof data.code !== 'string' || !/^[A-Z0-9]{6}$/.test(data.code)) { connection.close(1008); return; }
+        leaveRoom(connection);
+        const room = getRoom(data.code);
+        if (data.role === 'controller' && !authorizeController(room, data.code, data.password, data.relayKey)) {
+            if (room.clients.size === 0) rooms.delete(data.code);
+            connection.close(1008);
+            return;
+        }
+        connection.code = data.code;
+        connection.role = data.role === 'controller' ? 'controller' : 'viewer';
+        room.clients.add(connection);
+        const viewers = [...room.clients].filter(c => c.role === 'viewer').length;
+        connection.send({ kind: 'joined', code: data.code, viewers });
+        if (connection.role === 'viewer') [room.snapshot, room.logos].forEach(message => { if (message) connection.send({ kind: 'message', message }); });
+        return;
+    }
+    if (data.kind === 'resync' && connection.code && connection.role === 'viewer' && Date.now() - connection.lastResync >= RESYNC_INTERVAL_MS) {
+        connection.lastResync = Date.now();
+        const room = getRoom(connection.code);
+        room.clients.forEach(client => { if (client.role === 'controller') client.send({ kind: 'message', message: { type: 'resync', code: connection.code } }); });
+        return;
+    }
+    if (data.kind === 'publish' && connection.code && connection.role === 'controller' && data.message && data.message.type) {
+        const room = getRoom(connection.code);
+        if (data.message.type === 'game') room.snapshot = data.message;
+        else if (data.message.type === 'logos') room.logos = data.message;
+        room.clients.forEach(client => { if (client !== connection) client.send({ kind: 'message', message: data.message }); });
+    }
+}
+
+function serveStatic(req, res) {
+    const file = STATIC_FILES[new URL(req.url, 'http://localhost').pathname];
+    if (req.method !== 'GET' || !file) { res.writeHead(404, { 'Content-Type': 'text/plain' }); res.end('Not found'); return; }
+    fs.readFile(path.join(__dirname, file), (err, content) => {
+        if (err) { res.writeHead(500, { 'Content-Type': 'text/plain' }); res.end('Error reading file'); return; }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] });
+        res.end(content);
+    });
+}
+
+const server = TLS ? https.createServer(TLS, serveStatic) : http.createServer(serveStatic);
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') { socket.end('HTTP/1.1 400 Bad Request\r\n\r\n'); return; }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n'));
+    socket.setNoDelay(true);
+    new Connection(socket);
+});
+
+// Drop clients that stopped answering pings, e.g. phones that went to sleep mid-game.
+setInterval(() => {
+    connections.forEach(client => {
+        if (!client.alive) { client.socket.destroy(); return; }
+        client.alive = false;
+        client.writeFrame(0x9, Buffer.alloc(0));
+    });
+}, HEARTBEAT_MS).unref();
+
+server.listen(PORT, () => {
+    console.log(`Basketball relay listening on port ${PORT}`);
+    const [web, ws] = TLS ? ['https', 'wss'] : ['http', 'ws'];
+    console.log(`Open ${web}://<this-computer's-ip>:${PORT}/ on other devices and use ${ws}://<this-computer's-ip>:${PORT} as the relay address.`);
+    console.log(`Relay key for scorers: ${RELAY_KEY}`);
+    if (!TLS) console.log('Passwords are sent unencrypted over ws://. Only use this relay on a network you trust.');
+});